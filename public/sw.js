@@ -0,0 +1,64 @@
+/* Trueprice.cash service worker.
+   - Precaches the app shell and the top-level market data (/data/*.json); the build fills PRECACHE
+     and VERSION (see swPrecache in vite.config.js), in dev both stay empty.
+   - Navigations and /data/ are network-first with a cache fallback, so the app and the last
+     market/fixture files keep working offline; hashed /assets/ are cache-first.
+   - Prices and metrics themselves live in localStorage with their own 10/30-minute TTLs.
+   - Shows alert notifications raised while the tab is in the background and routes clicks back. */
+const PRECACHE = [];
+const VERSION = 'dev';
+const SHELL_CACHE = `trueprice-shell-${VERSION}`;
+const DATA_CACHE = 'trueprice-data-v1';
+
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(SHELL_CACHE).then((c) => c.addAll(PRECACHE.filter((u) => !u.startsWith('/data/'))))
+    .then(() => caches.open(DATA_CACHE)).then((c) => c.addAll(PRECACHE.filter((u) => u.startsWith('/data/'))))
+    .then(() => self.skipWaiting()));
+});
+self.addEventListener('activate', (e) => {
+  e.waitUntil(caches.keys()
+    .then((keys) => Promise.all(keys.filter((k) => k.startsWith('trueprice-shell-') && k !== SHELL_CACHE).map((k) => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const key = new URL(request.url).pathname;
+  try {
+    const res = await fetch(request);
+    if (res.ok) { const copy = res.clone(); caches.open(cacheName).then((c) => c.put(fallbackUrl || key, copy)); }
+    return res;
+  } catch (err) {
+    const hit = await caches.match(fallbackUrl || key, { ignoreSearch: true });
+    if (hit) return hit;
+    throw err;
+  }
+}
+async function cacheFirst(request) {
+  const hit = await caches.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) { const copy = res.clone(); caches.open(SHELL_CACHE).then((c) => c.put(request, copy)); }
+  return res;
+}
+
+self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+  // Every route is the SPA shell
+  if (req.mode === 'navigate') e.respondWith(networkFirst(req, SHELL_CACHE, '/index.html'));
+  else if (url.pathname.startsWith('/data/')) e.respondWith(networkFirst(req, DATA_CACHE));
+  else if (url.pathname.startsWith('/assets/')) e.respondWith(cacheFirst(req));
+});
+
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  const url = e.notification.data?.url || '/';
+  e.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((wins) => {
+    const win = wins[0];
+    if (!win) return self.clients.openWindow(url);
+    win.postMessage({ type: 'open', url });
+    return win.focus();
+  }));
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/* Builds a market's constituents file (public/data/<market>_grouped_by_industry.json) from a CSV.
+
+     node scripts/build-market-data.mjs <MARKET> <file.csv> [--as-of YYYY-MM-DD] [--dry-run]
+     node scripts/build-market-data.mjs --check
+
+   The CSV is either our own format (data/*.csv: ticker,industry,name_en,name_ar,aliases with
+   aliases separated by "|") or an exchange/index constituent export whose headers map onto it
+   (Symbol, Security, GICS Sector, Sector, Company Name, ...; see COLUMNS). The market's entry in
+   public/data/markets.json names the output file and its language picks the listing name
+   (Company). Output tickers are always strings.
+
+   Rows are validated (ticker shape, unique tickers, one ticker type per market, non-empty industry
+   and listing name) and so is the grouped result; any error aborts without writing. The additions,
+   removals, renames and industry moves against the current file are printed, and when the content
+   changed the market's `data` entry in markets.json gets a new version:
+     "data": { "version": 3, "asOf": "2026-10-19", "count": 256, "sha": "…" }
+   which the app shows next to the market title. --check only validates every market's current
+   file (part of `npm run build`). */
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const MARKETS_FILE = join(root, 'public/data/markets.json');
+const COLUMNS = {
+  ticker: ['ticker', 'symbol', 'code', 'الرمز'],
+  industry: ['industry', 'sector', 'gics sector', 'القطاع'],
+  name_en: ['name_en', 'security', 'company name', 'company', 'name'],
+  name_ar: ['name_ar', 'arabic name', 'اسم الشركة', 'الاسم'],
+  aliases: ['aliases'],
+};
+const TICKER_RE = /^[A-Z0-9][A-Z0-9.-]*$/;
+
+const fail = (lines) => { console.error([].concat(lines).join('\n')); process.exit(1); };
+
+/* RFC 4180: quoted fields may hold commas, newlines and "" escapes; tolerates a BOM and CRLF */
+function parseCSV(text) {
+  const rows = []; let row = [], field = '', quoted = false;
+  text = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; } else if (ch === '"') quoted = false; else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some((f) => f.trim())) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field); if (row.some((f) => f.trim())) rows.push(row);
+  return rows;
+}
+
+/* CSV rows -> [{ line, ticker, industry, name_en, name_ar, aliases }] using the first header match per column */
+function readRows(file) {
+  const [header, ...body] = parseCSV(readFileSync(file, 'utf8'));
+  if (!header) fail(`${file}: empty file`);
+  const names = header.map((h) => h.trim().toLowerCase());
+  const col = Object.fromEntries(Object.entries(COLUMNS).map(([k, alts]) => [k, alts.map((a) => names.indexOf(a)).find((i) => i >= 0) ?? -1]));
+  const missing = ['ticker', 'industry'].filter((k) => col[k] < 0);
+  if (missing.length) fail(`${file}: no column for ${missing.join(', ')} (header: ${header.join(', ')})`);
+  if (col.name_en < 0 && col.name_ar < 0) fail(`${file}: no name column (header: ${header.join(', ')})`);
+  const get = (r, k) => (col[k] < 0 ? '' : (r[col[k]] ?? '').trim());
+  return body.map((r, i) => ({
+    line: i + 2,
+    ticker: get(r, 'ticker').toUpperCase(),
+    industry: get(r, 'industry'),
+    name_en: get(r, 'name_en'),
+    name_ar: get(r, 'name_ar'),
+    aliases: [...new Set(get(r, 'aliases').split('|').map((a) => a.trim()).filter(Boolean))],
+  }));
+}
+
+function validateRows(rows, lang) {
+  const errors = []; const seen = new Map();
+  for (const r of rows) {
+    if (!TICKER_RE.test(r.ticker)) errors.push(`line ${r.line}: invalid ticker "${r.ticker}"`);
+    else if (seen.has(r.ticker)) errors.push(`line ${r.line}: duplicate ticker ${r.ticker} (first on line ${seen.get(r.ticker)})`);
+    else seen.set(r.ticker, r.line);
+    if (!r.industry) errors.push(`line ${r.line}: ${r.ticker} has no industry`);
+    if (!r[`name_${lang}`]) errors.push(`line ${r.line}: ${r.ticker} has no ${lang} name`);
+  }
+  const numeric = rows.filter((r) => /^\d+$/.test(r.ticker)).length;
+  if (numeric && numeric !== rows.length) errors.push(`mixed ticker types: ${numeric} numeric and ${rows.length - numeric} alphanumeric tickers`);
+  if (!rows.length) errors.push('no rows');
+  return errors;
+}
+
+function groupRows(rows, lang) {
+  const out = {};
+  for (const r of rows) {
+    const name = Object.fromEntries(['en', 'ar'].filter((l) => r[`name_${l}`]).map((l) => [l, r[`name_${l}`]]));
+    const entry = { Ticker: r.ticker, Company: r[`name_${lang}`], Name: name };
+    if (r.aliases.length) entry.Aliases = r.aliases;
+    (out[r.industry] ||= []).push(entry);
+  }
+  return out;
+}
+
+/* The schema the app reads: industry -> non-empty [{ Ticker: string, Company: string, Name?: { en?, ar? }, Aliases?: string[] }] */
+function validateGrouped(grouped) {
+  const errors = []; const seen = new Set();
+  const str = (v) => typeof v === 'string' && v.trim() !== '';
+  if (!grouped || typeof grouped !== 'object' || Array.isArray(grouped)) return ['not an object of industries'];
+  for (const [industry, list] of Object.entries(grouped)) {
+    if (!industry.trim()) errors.push('empty industry name');
+    if (!Array.isArray(list) || !list.length) { errors.push(`${industry}: no companies`); continue; }
+    for (const c of list) {
+      const id = `${industry} / ${c?.Ticker}`;
+      if (typeof c?.Ticker !== 'string' || !TICKER_RE.test(c.Ticker)) errors.push(`${id}: Ticker must be an upper-case string`);
+      else if (seen.has(c.Ticker)) errors.push(`${id}: duplicate ticker`);
+      else seen.add(c.Ticker);
+      if (!str(c?.Company)) errors.push(`${id}: empty Company`);
+      if (c?.Name != null && (typeof c.Name !== 'object' || Object.values(c.Name).some((n) => !str(n)))) errors.push(`${id}: Name must map languages to non-empty names`);
+      if (c?.Aliases != null && (!Array.isArray(c.Aliases) || !c.Aliases.every(str))) errors.push(`${id}: Aliases must be non-empty strings`);
+    }
+  }
+  return errors;
+}
+
+const flatten = (grouped) => new Map(Object.entries(grouped || {}).flatMap(([industry, list]) => list.map((c) => [String(c.Ticker), { ...c, industry }])));
+function diff(before, after) {
+  const a = flatten(before), b = flatten(after); const lines = [];
+  for (const [t, c] of b) if (!a.has(t)) lines.push(`+ ${t} ${c.Company} (${c.industry})`);
+  for (const [t, c] of a) if (!b.has(t)) lines.push(`- ${t} ${String(c.Company).trim()} (${c.industry})`);
+  for (const [t, c] of b) {
+    const old = a.get(t); if (!old) continue;
+    if (String(old.Company).trim() !== c.Company) lines.push(`~ ${t} renamed: ${String(old.Company).trim()} -> ${c.Company}`);
+    if (old.industry !== c.industry) lines.push(`> ${t} moved: ${old.industry} -> ${c.industry}`);
+  }
+  return lines;
+}
+
+/* JSON.stringify with 2-space indent, keeping small flat objects ({ en, ar }, data) on one line like markets.json */
+const compactJSON = (v) => `${JSON.stringify(v, null, 2).replace(/\{\n\s+("[^"\n]+": (?:"[^"\n]*"|[\d.]+|true|false|null),?\n\s+)+\}/g, (m) => m.replace(/\n\s+/g, ' '))}\n`;
+const readJSON = (file, fallback) => (existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : fallback);
+const outputFile = (market) => join(root, 'public', market.constituents.replace(/^\//, ''));
+const marketLang = (market) => ((market.locale || 'en').split('-')[0] === 'ar' ? 'ar' : 'en');
+
+const args = process.argv.slice(2);
+const flag = (name) => { const i = args.indexOf(name); if (i < 0) return null; const v = args[i + 1]; args.splice(i, 2); return v; };
+const registry = readJSON(MARKETS_FILE, { markets: [] });
+
+if (args.includes('--check')) {
+  const problems = registry.markets.flatMap((m) => validateGrouped(readJSON(outputFile(m), null)).map((e) => `${m.id}: ${e}`));
+  if (problems.length) fail([...problems, `\nmarket data check failed: ${problems.length} problem(s)`]);
+  console.log(`market data ok: ${registry.markets.map((m) => `${m.id} ${flatten(readJSON(outputFile(m), {})).size}`).join(', ')}`);
+  process.exit(0);
+}
+
+const asOf = flag('--as-of') || new Date().toISOString().slice(0, 10);
+const dryRun = args.includes('--dry-run');
+const [id, input] = args.filter((a) => !a.startsWith('--'));
+if (!id || !input) fail('usage: build-market-data.mjs <MARKET> <file.csv> [--as-of YYYY-MM-DD] [--dry-run] | --check');
+if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || Number.isNaN(Date.parse(asOf))) fail(`--as-of must be YYYY-MM-DD, got ${asOf}`);
+const market = registry.markets.find((m) => m.id.toUpperCase() === id.toUpperCase());
+if (!market) fail(`unknown market ${id}; known: ${registry.markets.map((m) => m.id).join(', ')}`);
+
+const lang = marketLang(market);
+const rows = readRows(input);
+const rowErrors = validateRows(rows, lang);
+if (rowErrors.length) fail([...rowErrors.map((e) => `${input}: ${e}`), `\n${rowErrors.length} error(s); nothing written`]);
+const grouped = groupRows(rows, lang);
+const schemaErrors = validateGrouped(grouped);
+if (schemaErrors.length) fail([...schemaErrors, `\n${schemaErrors.length} schema error(s); nothing written`]);
+const missingOther = rows.filter((r) => !r[`name_${lang === 'ar' ? 'en' : 'ar'}`]).length;
+
+const file = outputFile(market);
+const before = readJSON(file, {});
+const changes = diff(before, grouped);
+const body = `${JSON.stringify(grouped, null, 2)}\n`;
+const sha = createHash('sha256').update(body).digest('hex').slice(0, 12);
+const prev = market.data || {};
+const data = { version: prev.sha === sha ? prev.version || 1 : (prev.version || 0) + 1, asOf, count: rows.length, sha };
+
+console.log(`${market.id}: ${rows.length} companies in ${Object.keys(grouped).length} industries (was ${flatten(before).size})`);
+if (missingOther) console.log(`  note: ${missingOther} row(s) have no ${lang === 'ar' ? 'name_en' : 'name_ar'}`);
+console.log(changes.length ? changes.map((l) => `  ${l}`).join('\n') : '  no additions, removals, renames or moves');
+console.log(`  data: version ${data.version}, as of ${asOf}${prev.sha === sha ? ' (content unchanged)' : ''}`);
+if (dryRun) { console.log('  dry run: nothing written'); process.exit(0); }
+
+writeFileSync(file, body);
+market.data = data;
+writeFileSync(MARKETS_FILE, compactJSON(registry));
+console.log(`  wrote ${file.slice(root.length + 1)} and ${MARKETS_FILE.slice(root.length + 1)}`);
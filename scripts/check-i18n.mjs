@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/* Verifies src/locales/*.json against each other and against src/App.jsx:
+   - every catalog has the same keys (a key missing in any language fails),
+   - a message uses the same {placeholders} in every language,
+   - plural messages (objects) cover the Intl.PluralRules categories of their language,
+   - every literal T('key') / translate(lang, 'key') in App.jsx exists in the English catalog.
+   Exits 1 with one line per problem; run via `npm run check:i18n` (also part of `npm run build`). */
+import { readFileSync, readdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const dir = join(root, 'src/locales');
+const BASE = 'en';
+
+const catalogs = Object.fromEntries(readdirSync(dir).filter((f) => f.endsWith('.json')).map((f) => [f.slice(0, -5), JSON.parse(readFileSync(join(dir, f), 'utf8'))]));
+const problems = [];
+const placeholders = (msg) => new Set([...(typeof msg === 'object' ? Object.values(msg).join(' ') : msg).matchAll(/\{(\w+)\}/g)].map((m) => m[1]));
+const sameSet = (a, b) => a.size === b.size && [...a].every((x) => b.has(x));
+
+if (!catalogs[BASE]) { console.error(`missing ${BASE}.json`); process.exit(1); }
+const allKeys = new Set(Object.values(catalogs).flatMap((c) => Object.keys(c)));
+
+for (const [lang, messages] of Object.entries(catalogs)) {
+  const categories = new Intl.PluralRules(lang).resolvedOptions().pluralCategories;
+  for (const key of allKeys) {
+    const msg = messages[key];
+    if (msg == null) { problems.push(`${lang}: missing key "${key}"`); continue; }
+    if (typeof msg === 'object') {
+      const missing = categories.filter((c) => typeof msg[c] !== 'string');
+      if (missing.length) problems.push(`${lang}: "${key}" lacks plural forms ${missing.join(', ')}`);
+    } else if (typeof msg !== 'string') problems.push(`${lang}: "${key}" is not a string or plural object`);
+    const base = catalogs[BASE][key];
+    if (lang !== BASE && base != null && !sameSet(placeholders(msg), placeholders(base))) problems.push(`${lang}: "${key}" placeholders differ from ${BASE}`);
+  }
+}
+
+const source = readFileSync(join(root, 'src/App.jsx'), 'utf8');
+for (const [, key] of source.matchAll(/\b(?:T\(|translate\([\w.]+, )'([\w.]+)'/g)) {
+  if (catalogs[BASE][key] == null) problems.push(`App.jsx: T('${key}') has no ${BASE} message`);
+}
+
+if (problems.length) {
+  console.error([...new Set(problems)].join('\n'));
+  console.error(`\ni18n check failed: ${problems.length} problem(s)`);
+  process.exit(1);
+}
+console.log(`i18n ok: ${allKeys.size} keys × ${Object.keys(catalogs).length} languages`);
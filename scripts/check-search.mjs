@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/* Checks company search (src/search.js, the code App.jsx searches with) against the real constituent
+   files in public/data: the cases users type most ("Almarai", "المراعي", "2280"), Arabic letter and
+   digit folding, spacing variants and typos must each put the intended company first. Exits 1 with
+   one line per problem; run via `npm run check:search` after changing the ranking or the data. */
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildSearchIndex, companyEntry, normalizeSearch, searchCompanies } from '../src/search.js';
+
+const pub = join(dirname(fileURLToPath(import.meta.url)), '..', 'public');
+const readJSON = (path) => JSON.parse(readFileSync(join(pub, path), 'utf8'));
+const companies = readJSON('data/markets.json').markets.flatMap((m) => Object.entries(readJSON(m.constituents))
+  .flatMap(([industry, list]) => list.map((c) => companyEntry(c, m.id, industry))));
+const index = buildSearchIndex(companies);
+const problems = [];
+let cases = 0;
+
+/* ---------- folding ---------- */
+const folds = (input, wanted) => {
+  cases++;
+  const got = normalizeSearch(input);
+  if (got !== wanted) problems.push(`normalizeSearch(${JSON.stringify(input)}): got ${JSON.stringify(got)}, expected ${JSON.stringify(wanted)}`);
+};
+folds('أإآٱا', 'ااااا');
+folds('مكة', 'مكه');
+folds('المراعى', 'المراعي');
+folds('مؤسسة شركة هيئة', 'موسسه شركه هييه');
+folds('المَرَاعِـــي', 'المراعي');
+folds('٢٢٨٠ ۲۲۸۰', '2280 2280');
+folds('Nestlé, S.A.', 'nestle s a');
+
+/* ---------- ranking: query -> market:ticker expected first ---------- */
+const first = (query, wanted) => {
+  cases++;
+  const hits = searchCompanies(index, query, 5);
+  const top = hits[0] ? `${hits[0].market}:${hits[0].ticker}` : 'nothing';
+  if (top !== wanted) problems.push(`search ${JSON.stringify(query)}: got ${top} first (${hits.map((h) => `${h.ticker} ${h.score.toFixed(1)}`).join(', ')}), expected ${wanted}`);
+};
+first('2280', 'SA:2280');
+first('٢٢٨٠', 'SA:2280');
+first('Almarai', 'SA:2280');
+first('almarai', 'SA:2280');
+first('المراعي', 'SA:2280');
+first('المراعى', 'SA:2280');
+first('al marai', 'SA:2280');
+first('مراعي', 'SA:2280');
+first('الاركان', 'SA:4300');
+first('مكه', 'SA:4100');
+first('طيبه', 'SA:4090');
+first('بنك الراجحى', 'SA:1120');
+first('rajhi', 'SA:1120');
+first('AAPL', 'US:AAPL');
+first('apple', 'US:AAPL');
+// typos: nothing matches directly, so the closest spelling of a leading name word wins
+first('aple', 'US:AAPL');
+first('almari', 'SA:2280');
+first('microsft', 'US:MSFT');
+
+if (problems.length) {
+  console.error(problems.join('\n'));
+  console.error(`\nsearch check failed: ${problems.length} problem(s)`);
+  process.exit(1);
+}
+console.log(`search ok: ${cases} checks over ${companies.length} companies`);
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/* Checks the cloud-sync three-way merge (mergeUserState in src/syncMerge.js, the code App.jsx syncs with):
+   - always: preference and collection merge cases, no network;
+   - when VITE_SUPABASE_URL + VITE_SUPABASE_ANON_KEY are set (environment, .env.local or .env; e.g.
+     the local stand-in from `npx supabase start`, see supabase/config.toml): two devices of one test
+     user edit offline and sync through the real user_state table until they agree, and a second
+     user can neither read nor write the first one's rows (row-level security).
+   Exits 1 with one line per problem; run via `npm run check:sync`. Test users are left in auth.users
+   (the local database is disposable); their user_state rows are deleted. */
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createClient } from '@supabase/supabase-js';
+import { mergeUserState, sameJSON } from '../src/syncMerge.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const KINDS = { lang: 'pref', lists_v1: 'collection' };
+const TABLE = 'user_state';
+const problems = [];
+let cases = 0;
+const byId = (v) => (Array.isArray(v) ? [...v].sort((a, b) => String(a.id).localeCompare(String(b.id))) : v);
+const expect = (name, actual, wanted) => {
+  cases++;
+  const norm = (o) => (o && typeof o === 'object' && !Array.isArray(o) ? Object.fromEntries(Object.entries(o).map(([k, v]) => [k, byId(v)])) : byId(o));
+  if (!sameJSON(norm(actual), norm(wanted))) problems.push(`${name}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(wanted)}`);
+};
+const list = (id, name) => ({ id, name });
+
+/* ---------- merge cases ---------- */
+const base = { lang: 'en', lists_v1: [list('a', 'Watch'), list('b', 'Banks')] };
+const remoteOf = (state, at) => Object.fromEntries(Object.entries(state).map(([k, value]) => [k, { value, at }]));
+const merge = (local, remote, dirty = {}) => mergeUserState({ kinds: KINDS, local, base, remote, dirty });
+
+const first = mergeUserState({ kinds: KINDS, local: base, remote: {} });
+expect('first sync keeps local', first.merged, base);
+expect('first sync uploads every key', first.upserts, ['lang', 'lists_v1']);
+expect('nothing changed', merge(base, remoteOf(base, 100)).upserts, []);
+expect('remote preference change is taken', merge(base, remoteOf({ ...base, lang: 'ar' }, 100)).merged.lang, 'ar');
+const localPref = merge({ ...base, lang: 'ar' }, remoteOf(base, 100), { lang: 50 });
+expect('local preference change is kept', localPref.merged.lang, 'ar');
+expect('local preference change is uploaded', localPref.upserts, ['lang']);
+expect('both changed: newer local wins', merge({ ...base, lang: 'ar' }, remoteOf({ ...base, lang: 'fr' }, 100), { lang: 200 }).merged.lang, 'ar');
+expect('both changed: newer remote wins', merge({ ...base, lang: 'ar' }, remoteOf({ ...base, lang: 'fr' }, 300), { lang: 200 }).merged.lang, 'fr');
+expect('per-record merge: local rename, remote add + delete',
+  merge({ ...base, lists_v1: [list('a', 'Watchlist'), list('b', 'Banks')] }, remoteOf({ ...base, lists_v1: [list('a', 'Watch'), list('c', 'Cement')] }, 100), { lists_v1: 50 }).merged.lists_v1,
+  [list('a', 'Watchlist'), list('c', 'Cement')]);
+expect('edit beats delete',
+  merge({ ...base, lists_v1: [list('a', 'Watch'), list('b', 'Big banks')] }, remoteOf({ ...base, lists_v1: [list('a', 'Watch')] }, 300), { lists_v1: 200 }).merged.lists_v1,
+  [list('a', 'Watch'), list('b', 'Big banks')]);
+expect('same record edited on both sides: newer wins',
+  merge({ ...base, lists_v1: [list('a', 'Mine'), list('b', 'Banks')] }, remoteOf({ ...base, lists_v1: [list('a', 'Theirs'), list('b', 'Banks')] }, 300), { lists_v1: 200 }).merged.lists_v1,
+  [list('a', 'Theirs'), list('b', 'Banks')]);
+
+/* ---------- against Supabase ---------- */
+function readEnv(name) {
+  if (process.env[name]) return process.env[name];
+  for (const file of ['.env.local', '.env']) {
+    const path = join(root, file); if (!existsSync(path)) continue;
+    const line = readFileSync(path, 'utf8').split(/\r?\n/).find((l) => l.startsWith(`${name}=`));
+    const value = line?.slice(name.length + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+    if (value) return value;
+  }
+  return '';
+}
+const url = readEnv('VITE_SUPABASE_URL'), anon = readEnv('VITE_SUPABASE_ANON_KEY');
+const client = () => createClient(url, anon, { auth: { persistSession: false, autoRefreshToken: false } });
+
+async function signUp(email, password) {
+  const c = client();
+  const { data, error } = await c.auth.signUp({ email, password });
+  if (error) throw new Error(`sign-up ${email}: ${error.message}`);
+  if (!data.session) throw new Error(`sign-up ${email}: no session; email confirmations must be off (supabase/config.toml)`);
+  return { c, id: data.user.id };
+}
+async function signIn(email, password) {
+  const c = client();
+  const { data, error } = await c.auth.signInWithPassword({ email, password });
+  if (error) throw new Error(`sign-in ${email}: ${error.message}`);
+  return { c, id: data.user.id };
+}
+/* One device: { c, id, local, base, dirty }; the same steps as syncNow in App.jsx */
+async function sync(device) {
+  const { data, error } = await device.c.from(TABLE).select('key,value,updated_at');
+  if (error) throw new Error(`select: ${error.message}`);
+  const remote = Object.fromEntries(data.filter((r) => r.key in KINDS).map((r) => [r.key, { value: r.value, at: Date.parse(r.updated_at) || 0 }]));
+  const { merged, upserts } = mergeUserState({ kinds: KINDS, local: device.local, base: device.base, remote, dirty: device.dirty });
+  if (upserts.length) {
+    const now = new Date().toISOString();
+    const { error: upErr } = await device.c.from(TABLE).upsert(upserts.map((key) => ({ user_id: device.id, key, value: merged[key], updated_at: now })));
+    if (upErr) throw new Error(`upsert: ${upErr.message}`);
+  }
+  Object.assign(device, { local: merged, base: { ...device.base, ...merged }, dirty: {} });
+}
+const edit = (device, key, value) => { device.local = { ...device.local, [key]: value }; device.dirty = { ...device.dirty, [key]: Date.now() }; };
+const pause = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function roundTrip() {
+  const stamp = Date.now(); const password = `check-sync-${stamp}`;
+  const email = `sync-check-${stamp}@example.test`;
+  const a = { ...(await signUp(email, password)), local: { lang: '', lists_v1: [] }, base: {}, dirty: {} };
+  const b = { ...(await signIn(email, password)), local: { lang: '', lists_v1: [] }, base: {}, dirty: {} };
+  try {
+    edit(a, 'lang', 'ar'); edit(a, 'lists_v1', [list('a', 'Watch'), list('b', 'Banks')]);
+    await sync(a); await sync(b);
+    expect('supabase: second device pulls the first one\'s state', b.local, a.local);
+
+    // Both devices edit offline, B last: A renames a and adds c; B deletes b and switches language
+    edit(a, 'lists_v1', [list('a', 'Watchlist'), list('b', 'Banks'), list('c', 'Cement')]);
+    await pause(20);
+    edit(b, 'lists_v1', [list('a', 'Watch')]); edit(b, 'lang', 'en');
+    await sync(a); await sync(b); await sync(a);
+    const wanted = { lang: 'en', lists_v1: [list('a', 'Watchlist'), list('c', 'Cement')] };
+    expect('supabase: device A converges', a.local, wanted);
+    expect('supabase: device B converges', b.local, wanted);
+    const { data } = await a.c.from(TABLE).select('key,value');
+    expect('supabase: server holds the merged state', Object.fromEntries(data.filter((r) => r.key in KINDS).map((r) => [r.key, r.value])), wanted);
+
+    const other = await signUp(`sync-check-${stamp}-other@example.test`, password);
+    const { data: seen } = await other.c.from(TABLE).select('key');
+    expect('supabase: another user sees none of the rows', seen?.length ?? 0, 0);
+    const { error: writeErr } = await other.c.from(TABLE).upsert({ user_id: a.id, key: 'lang', value: 'xx' });
+    expect('supabase: another user cannot write the rows', !!writeErr, true);
+  } finally {
+    await a.c.from(TABLE).delete().eq('user_id', a.id);
+  }
+}
+
+let remoteNote = ' (set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY, e.g. for `npx supabase start`, to also run against Supabase)';
+if (url && anon) {
+  try { await roundTrip(); remoteNote = `, Supabase round trip at ${url}`; } catch (e) { problems.push(`supabase (${url}): ${e.message}`); }
+}
+if (problems.length) {
+  console.error(problems.join('\n'));
+  console.error(`\nsync check failed: ${problems.length} problem(s)`);
+  process.exit(1);
+}
+console.log(`sync ok: ${cases} checks${remoteNote}`);
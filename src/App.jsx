@@ -1,10 +1,16 @@
 // path: src/App.jsx
 // Trueprice.cash — Corporate UI + AR header flip + WebLLM/Web API fallback
 // Update: Ask AI supports (1) WebGPU (WebLLM), (2) OpenAI API, (3) local formula fallback.
-// Output is strictly value + comparison or a single localized error.
+// Output is a schema-validated analysis (fair value, rationale, strengths, risks, confidence) or a single localized error.
 
-import React, { useEffect, useMemo, useState } from 'react';
-import { CreateMLCEngine } from '@mlc-ai/web-llm';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Navigate, Route, Routes, useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { CreateMLCEngine, deleteModelAllInfoInCache, hasModelInCache, prebuiltAppConfig } from '@mlc-ai/web-llm';
+import { createClient } from '@supabase/supabase-js';
+import enMessages from './locales/en.json';
+import arMessages from './locales/ar.json';
+import { buildSearchIndex, companyEntry, searchCompanies } from './search.js';
+import { mergeUserState, sameJSON } from './syncMerge.js';
 
 /* ========================== UI Primitives ========================== */
 const Button = ({ children, onClick, variant = 'primary', disabled, as = 'button', href, target, rel, className = '' }) => {
@@ -35,13 +41,13 @@ const Card = ({ title, subtitle, actions, children, className = '' }) => (
   </section>
 );
 
-/* Header swaps brand/actions when lang === 'ar' */
+/* Header swaps brand/actions for right-to-left languages */
 const ShellLayout = ({ lang, onLogoClick, headerActions, sidebar, children }) => (
   <div className="min-h-screen bg-gray-50 text-gray-900">
     <style>{`@keyframes trueprice-progress{0%{transform:translateX(-100%)}50%{transform:translateX(-20%)}100%{transform:translateX(100%)}}`}</style>
     <header className="sticky top-0 z-20 bg-white/80 backdrop-blur border-b">
       <div className="max-w-7xl mx-auto px-4 h-14 flex items-center gap-4">
-        {lang === 'ar' ? (
+        {localeOf(lang).dir === 'rtl' ? (
           <>
             <div className="flex items-center gap-2">{headerActions}</div>
             <div className="flex-1" />
@@ -61,23 +67,101 @@ const ShellLayout = ({ lang, onLogoClick, headerActions, sidebar, children }) =>
       </div>
     </header>
 
+    <QuotaBanner lang={lang} />
+    <OfflineBanner lang={lang} />
     <div className="max-w-7xl mx-auto px-4 py-6 grid grid-cols-12 gap-6">
       <aside className="col-span-12 md:col-span-3">{sidebar}</aside>
       <main className="col-span-12 md:grid-cols-9 md:col-span-9">{children}</main>
     </div>
 
-    <footer className="max-w-7xl mx-auto px-4 pb-8 text-xs text-gray-500">© Trueprice.cash. All rights reserved.</footer>
+    <footer className="max-w-7xl mx-auto px-4 pb-8 text-xs text-gray-500">© Trueprice.cash. {translate(lang, 'footer.rights')}</footer>
   </div>
 );
 
+/* TwelveData scheduler state (throttled / quota exhausted / key rejected) */
+function QuotaBanner({ lang }) {
+  const { state, message, until } = useTwelveStatus();
+  if (state === 'ok') return null;
+  const at = until ? formatDate(until, lang, { hour: '2-digit', minute: '2-digit' }) : '';
+  const text = translate(lang, `quota.${state}`, { at, message });
+  const tone = state === 'throttled' ? 'bg-blue-50 text-blue-800 border-blue-200' : 'bg-amber-50 text-amber-800 border-amber-200';
+  return (
+    <div className={`border-b ${tone}`} role="status">
+      <div className="max-w-7xl mx-auto px-4 py-2 text-xs">{text}</div>
+    </div>
+  );
+}
+
+/* Offline, or a refresh failed: say how old the data on screen is */
+function OfflineBanner({ lang }) {
+  const { online, staleAt } = useOfflineState();
+  if (online && !staleAt) return null;
+  const at = staleAt ? formatDate(staleAt, lang, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+  const text = translate(lang, !online ? (staleAt ? 'offline.staleAsOf' : 'offline.savedData') : 'offline.refreshFailed', { at });
+  return (
+    <div className="border-b bg-gray-100 text-gray-700 border-gray-200" role="status">
+      <div className="max-w-7xl mx-auto px-4 py-2 text-xs">{text}</div>
+    </div>
+  );
+}
+
 /* ========================== Cache ========================== */
 const cacheRead = (k, f) => { try { const s = localStorage.getItem(k); return s ? JSON.parse(s) : f; } catch { return f; } };
-const cacheWrite = (k, v) => localStorage.setItem(k, JSON.stringify(v));
+const cacheWrite = (k, v) => {
+  const s = JSON.stringify(v);
+  if (SYNC_KEYS[k] && localStorage.getItem(k) !== s) markSyncDirty(k);
+  localStorage.setItem(k, s);
+};
+/* Plain-string preferences (lang, mkt, data_provider); '' removes the key. */
+const prefWrite = (k, v) => {
+  if ((localStorage.getItem(k) || '') === (v || '')) return;
+  if (v) localStorage.setItem(k, v); else localStorage.removeItem(k);
+  if (SYNC_KEYS[k]) markSyncDirty(k);
+};
+
+/* Persisted state shared by every mounted hook for the same key. Writes go to localStorage first
+   and are announced with STORE_EVENT, so other instances (and cloud-sync merges) stay consistent. */
+const STORE_EVENT = 'trueprice:store';
+const announceStore = (key) => window.dispatchEvent(new CustomEvent(STORE_EVENT, { detail: { key } }));
+function useStoredState(key, load) {
+  const [value, setValue] = useState(load);
+  useEffect(() => {
+    const onStore = (e) => { if (e.detail?.key === key) setValue(load()); };
+    const onStorage = (e) => { if (e.key === key) setValue(load()); }; // other tabs
+    window.addEventListener(STORE_EVENT, onStore); window.addEventListener('storage', onStorage);
+    return () => { window.removeEventListener(STORE_EVENT, onStore); window.removeEventListener('storage', onStorage); };
+  }, [key, load]);
+  const update = useCallback((next) => {
+    const v = typeof next === 'function' ? next(load()) : next;
+    cacheWrite(key, v); setValue(v); announceStore(key);
+  }, [key, load]);
+  return [value, update];
+}
 const PRICE_CACHE_KEY = (mkt) => `mkt_price_cache_v1_${mkt}`;
-const METRICS_CACHE_KEY = 'metrics_cache_v1';
+const PRICE_TTL_MS = 10 * 60 * 1000;
+
+/* Last-known prices/metrics served offline (or after a failed refresh) report their age here; the
+   oldest one drives OfflineBanner until the next successful price load. */
+const __stale = { at: 0, listeners: new Set() };
+const setStaleAt = (at) => { if (at === __stale.at) return; __stale.at = at; __stale.listeners.forEach((fn) => fn(at)); };
+const markStale = (at) => { if (at && (!__stale.at || at < __stale.at)) setStaleAt(at); };
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+function useOfflineState() {
+  const [online, setOnline] = useState(() => !isOffline());
+  const [staleAt, setStale] = useState(__stale.at);
+  useEffect(() => {
+    const on = () => setOnline(true), off = () => setOnline(false);
+    window.addEventListener('online', on); window.addEventListener('offline', off); __stale.listeners.add(setStale);
+    return () => { window.removeEventListener('online', on); window.removeEventListener('offline', off); __stale.listeners.delete(setStale); };
+  }, []);
+  return { online, staleAt };
+}
+const METRICS_CACHE_KEY = 'metrics_cache_v2';
 
 /* ========================== Utils + valuation ========================== */
 const fmt = (n) => Number(n).toLocaleString(undefined, { maximumFractionDigits: 2 });
+const round2 = (n) => Number.isFinite(n) ? Number(n.toFixed(2)) : 0;
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
 function dcfFairPrice(currentPrice, eps, g, m, r, years = 5) {
   const cf0 = eps * m; let npv = 0;
   for (let t = 1; t <= years; t++) { const cft = cf0 * Math.pow(1 + g, t); npv += cft / Math.pow(1 + r, t); }
@@ -89,87 +173,459 @@ function dcfFairPrice(currentPrice, eps, g, m, r, years = 5) {
 const multiplesFairPrice = (eps, pe) => parseFloat(Math.max(1, eps * pe).toFixed(2));
 
 /* ========================== Markets + TwelveData ========================== */
-const MARKET = { SA: 'SA', US: 'US' };
-const MARKET_JSON = { SA: '/data/tasi_grouped_by_industry.json', US: '/data/sp500_grouped_by_industry.json' };
-const MARKET_SUFFIX = { SA: ':TADAWUL', US: '' };
-const MARKET_CCY = { SA: 'SAR', US: 'USD' };
+/* Market registry: public/data/markets.json, loaded once before any route renders (see App).
+   Each entry: { id, flag, label: { en, ar }, title: { en, ar }, suffix, currency, locale, constituents, data }
+   where suffix is appended to tickers for the data provider (e.g. ':TADAWUL'), constituents is the
+   industry -> [{ Ticker, Company, Name: { en, ar }, Aliases }] file (see Company names & search) and
+   data = { version, asOf, count, sha } describes it. Both are written by scripts/build-market-data.mjs
+   from data/*.csv. The lookup maps below are filled from it in place, so a new market needs only data. */
+const MARKETS_URL = '/data/markets.json';
+const MARKETS = [];
+const MARKET = {};
+const MARKET_JSON = {};
+const MARKET_SUFFIX = {};
+const MARKET_CCY = {};
+const MARKET_LOCALE = {};
+let __marketsLoad = null;
+function loadMarkets() {
+  __marketsLoad ||= fetch(MARKETS_URL, { cache: 'no-cache' }).then(async (res) => {
+    if (!res.ok) throw new Error(`Market registry not found at ${MARKETS_URL} (HTTP ${res.status})`);
+    const list = ((await res.json())?.markets || []).filter((m) => m && typeof m.id === 'string' && m.id && m.constituents && m.currency);
+    if (!list.length) throw new Error(`No valid markets in ${MARKETS_URL}`);
+    for (const m of list) {
+      const id = m.id.toUpperCase();
+      MARKETS.push({ ...m, id, suffix: m.suffix || '', label: m.label || { en: id, ar: id }, title: m.title || m.label || { en: id, ar: id } });
+      MARKET[id] = id; MARKET_JSON[id] = m.constituents; MARKET_SUFFIX[id] = m.suffix || ''; MARKET_CCY[id] = m.currency; MARKET_LOCALE[id] = m.locale || 'en';
+    }
+  }).catch((e) => { __marketsLoad = null; throw e; });
+  return __marketsLoad;
+}
+const marketInfo = (id) => MARKETS.find((m) => m.id === id);
 const TWELVE_API_KEY = import.meta.env.VITE_TWELVE_API_KEY || '';
+const TWELVE_RPM = Number(import.meta.env.VITE_TWELVE_RPM) || 8; // free plan: 8 credits/minute
 const chunk = (arr, n) => { const out = []; for (let i = 0; i < arr.length; i += n) out.push(arr.slice(i, i + n)); return out; };
 
-async function fetchTwelvePrices(symbols) {
-  if (!symbols.length || !TWELVE_API_KEY) return {};
-  const result = {};
-  for (const c of chunk(symbols, 80)) {
-    const url = `https://api.twelvedata.com/price?symbol=${encodeURIComponent(c.join(','))}&apikey=${TWELVE_API_KEY}`;
-    try {
-      const r = await fetch(url); const j = await r.json();
-      if (Array.isArray(j)) {
-        for (const it of j) { const p = typeof it.price === 'string' ? parseFloat(it.price) : Number(it.price); if (it.symbol && Number.isFinite(p)) result[it.symbol] = p; }
+/* Market constituents JSON (industry -> [{ Ticker, Company, Name?, Aliases? }]). Revalidated on every load; the
+   service worker answers from its cache when offline. */
+async function fetchMarketJSON(market) {
+  const path = MARKET_JSON[market]; const res = await fetch(path, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`JSON not found at ${path} (HTTP ${res.status})`);
+  return res.json();
+}
+async function findCompany(market, ticker) {
+  const raw = await fetchMarketJSON(market);
+  for (const [industry, companies] of Object.entries(raw)) {
+    const hit = companies.find((c) => String(c.Ticker).toUpperCase() === String(ticker).toUpperCase());
+    if (hit) return { ticker: String(hit.Ticker), companyName: String(hit.Company).trim(), industry };
+  }
+  return null;
+}
+
+/* ========================== Company names & search ========================== */
+/* Entries, name folding and ranking live in src/search.js (checked by `npm run check:search`). */
+/* Display name for a constituent row or entry in the UI language */
+const companyLabel = (c, lang) => localized(c.names, lang) || c.company || c.companyName || '';
+
+/* Every company of every market, flattened: [companyEntry] */
+function useAllCompanies() {
+  const [all, setAll] = useState([]);
+  useEffect(() => {
+    let stop = false;
+    Promise.all(Object.values(MARKET).map((market) => fetchMarketJSON(market)
+      .then((raw) => Object.entries(raw).flatMap(([industry, list]) => list.map((c) => companyEntry(c, market, industry))))
+      .catch(() => [])))
+      .then((lists) => { if (!stop) setAll(lists.flat()); });
+    return () => { stop = true; };
+  }, []);
+  return all;
+}
+/* Search index over every market's constituents */
+function useSearchIndex() {
+  const all = useAllCompanies();
+  return useMemo(() => buildSearchIndex(all), [all]);
+}
+
+/* ========================== Data providers ========================== */
+// Every provider answers in TwelveData's response shapes so the valuation math stays provider-agnostic:
+//   prices(symbols, onProgress?, signal?) -> { [symbol]: number }   price(symbol) -> { price }
+//   statistics(symbol) -> { statistics }         balanceSheet(symbol) -> { balance_sheet: [...] }
+//   incomeStatement(symbol) -> { income_statement: [...] }   cashFlow(symbol) -> { cash_flow: [...] }
+//   (statement methods take { period: 'annual' | 'quarterly' }, annual by default)
+//   timeSeries(symbol, { interval, outputsize }) -> { values: [{ datetime, close }] } (newest first)
+//   fxRate(from, to) -> { rate, timestamp } (unix seconds)
+const toNum = (x) => (typeof x === 'string' ? parseFloat(x) : Number(x));
+
+/* ---------- TwelveData request scheduler ----------
+   All TwelveData calls go through one queue that spends at most TWELVE_RPM credits per rolling
+   minute, shares in-flight requests for the same endpoint+symbol, retries 429/5xx with backoff,
+   drops queued jobs once every caller's AbortSignal has fired, and publishes its state (ok / throttled / exhausted / error) to useTwelveStatus(). */
+const TWELVE_COST = { price: 1, statistics: 50, balance_sheet: 100, income_statement: 100, cash_flow: 100, time_series: 1, exchange_rate: 1 }; // TwelveData credits per symbol
+const TWELVE_MAX_RETRIES = 3;
+const TWELVE_PRICE_BATCH = Math.min(80, TWELVE_RPM);
+const __twelve = { used: [], queue: [], inflight: new Map(), timer: null, status: { state: 'ok', message: '', until: 0 }, listeners: new Set() };
+const twelveExhausted = () => __twelve.status.state === 'exhausted' && Date.now() < __twelve.status.until;
+const twelveBusy = () => __twelve.status.state === 'throttled' || twelveExhausted();
+/* Minutes the scheduler needs to spend `credits` at TWELVE_RPM; used for fill-time estimates */
+const twelveMinutes = (credits) => credits / TWELVE_RPM;
+
+const twelveError = (message, code, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+const abortError = () => new DOMException('Aborted', 'AbortError');
+/* A job is abandoned when every caller sharing it passed a signal and all of them have aborted */
+const twelveAbandoned = (job) => job.signals.every((s) => s?.aborted);
+function dropAbandonedTwelve() {
+  for (let i = __twelve.queue.length - 1; i >= 0; i--) {
+    const job = __twelve.queue[i];
+    if (twelveAbandoned(job)) { __twelve.queue.splice(i, 1); job.reject(abortError()); }
+  }
+}
+function setTwelveStatus(patch) {
+  const next = { ...__twelve.status, ...patch };
+  if (next.state === __twelve.status.state && next.message === __twelve.status.message && next.until === __twelve.status.until) return;
+  __twelve.status = next; __twelve.listeners.forEach((fn) => fn(next));
+}
+function useTwelveStatus() {
+  const [status, setStatus] = useState(__twelve.status);
+  useEffect(() => { __twelve.listeners.add(setStatus); return () => { __twelve.listeners.delete(setStatus); }; }, []);
+  return status;
+}
+const nextUtcMidnight = () => { const d = new Date(); d.setUTCHours(24, 0, 0, 0); return d.getTime(); };
+const creditsUsed = () => {
+  const cutoff = Date.now() - 60000;
+  __twelve.used = __twelve.used.filter((e) => e.at > cutoff);
+  return __twelve.used.reduce((a, e) => a + e.credits, 0);
+};
+
+function pumpTwelve() {
+  if (__twelve.timer) return;
+  while (__twelve.queue.length) {
+    if (twelveExhausted()) {
+      const err = twelveError(__twelve.status.message, 429, { quota: true });
+      __twelve.queue.splice(0).forEach((job) => job.reject(err));
+      return;
+    }
+    const job = __twelve.queue[0];
+    const used = creditsUsed();
+    // A job larger than the whole budget still runs once the window is empty.
+    if (used > 0 && used + job.credits > TWELVE_RPM) {
+      const wait = Math.max(250, __twelve.used[0].at + 60000 - Date.now() + 50);
+      setTwelveStatus({ state: 'throttled', message: `Waiting for TwelveData credits (${TWELVE_RPM}/min)`, until: Date.now() + wait });
+      __twelve.timer = setTimeout(() => { __twelve.timer = null; pumpTwelve(); }, wait);
+      return;
+    }
+    __twelve.queue.shift();
+    __twelve.used.push({ at: Date.now(), credits: job.credits });
+    runTwelveJob(job);
+  }
+  if (__twelve.status.state === 'throttled') setTwelveStatus({ state: 'ok', message: '', until: 0 });
+}
+
+async function runTwelveJob(job) {
+  const retry = (delay) => {
+    job.attempt += 1;
+    setTimeout(() => {
+      if (twelveAbandoned(job)) { job.reject(abortError()); return; }
+      __twelve.queue.unshift(job); pumpTwelve();
+    }, delay);
+  };
+  let httpStatus = 0, j = null;
+  try {
+    const r = await fetch(job.url); httpStatus = r.status;
+    j = await r.json().catch(() => null);
+  } catch {
+    // Network failure: back off like a 5xx.
+    httpStatus = 503;
+  }
+  const code = httpStatus === 429 ? 429 : httpStatus >= 500 ? httpStatus : (j?.status === 'error' ? Number(j.code) || 400 : 0);
+  if (!code && j) {
+    // A success clears a past key error or a daily quota that has since reset (throttling is the pump's)
+    if (__twelve.status.state !== 'ok' && __twelve.status.state !== 'throttled') setTwelveStatus({ state: 'ok', message: '', until: 0 });
+    job.resolve(j); return;
+  }
+  const message = j?.message || `TwelveData HTTP ${httpStatus}`;
+  if (code === 429 && /day|daily/i.test(message)) {
+    setTwelveStatus({ state: 'exhausted', message, until: nextUtcMidnight() });
+    job.reject(twelveError(message, 429, { quota: true }));
+    pumpTwelve();
+    return;
+  }
+  if ((code === 429 || code >= 500) && job.attempt < TWELVE_MAX_RETRIES) {
+    // On 429 the server says the minute budget is spent: treat the window as full before retrying.
+    if (code === 429) __twelve.used.push({ at: Date.now(), credits: TWELVE_RPM });
+    retry(1000 * 2 ** job.attempt);
+    return;
+  }
+  if (code === 401 || code === 403) setTwelveStatus({ state: 'error', message, until: 0 });
+  job.reject(twelveError(message, code));
+}
+
+/* Queue a TwelveData call; identical endpoint+symbol requests already in flight share one promise.
+   `signal` (optional) withdraws this caller; the job leaves the queue when no caller still wants it. */
+function twelveRequest(endpoint, symbol, params = {}, signal) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  signal?.addEventListener('abort', dropAbandonedTwelve, { once: true });
+  const extra = Object.entries(params).map(([k, v]) => `&${k}=${encodeURIComponent(v)}`).join('');
+  const key = `${endpoint}:${symbol}${extra}`;
+  const shared = __twelve.inflight.get(key);
+  if (shared && !twelveAbandoned(shared.job)) { shared.job.signals.push(signal); return shared.promise; }
+  const credits = (TWELVE_COST[endpoint] || 1) * symbol.split(',').length;
+  const url = `https://api.twelvedata.com/${endpoint}?symbol=${encodeURIComponent(symbol)}${extra}&apikey=${TWELVE_API_KEY}`;
+  let job;
+  const p = new Promise((resolve, reject) => {
+    job = { url, credits, attempt: 0, resolve, reject, signals: [signal] };
+    __twelve.queue.push(job);
+    pumpTwelve();
+  }).finally(() => { if (__twelve.inflight.get(key)?.promise === p) __twelve.inflight.delete(key); });
+  __twelve.inflight.set(key, { promise: p, job });
+  return p;
+}
+
+const twelveGet = (endpoint, symbol, params) => twelveRequest(endpoint, symbol, params);
+const twelveDataProvider = {
+  id: 'twelvedata',
+  label: 'TwelveData',
+  ready: () => !!TWELVE_API_KEY,
+  async prices(symbols, onProgress, signal) {
+    if (!symbols.length || !TWELVE_API_KEY) return {};
+    const result = {};
+    for (const c of chunk(symbols, TWELVE_PRICE_BATCH)) {
+      if (signal?.aborted) break; // the view went away: queue no more batches
+      let j;
+      try { j = await twelveRequest('price', c.join(','), {}, signal); } catch (e) {
+        if (e.quota || signal?.aborted) break; // nothing more will succeed today / nobody is waiting
+        continue; // one failed batch leaves those rows blank; the status banner explains why
+      }
+      if (c.length === 1) { const p = toNum(j?.price); if (Number.isFinite(p)) result[c[0]] = p; }
+      else if (Array.isArray(j)) {
+        for (const it of j) { const p = toNum(it.price); if (it.symbol && Number.isFinite(p)) result[it.symbol] = p; }
       } else if (j && typeof j === 'object') {
-        for (const [sym, obj] of Object.entries(j)) { const p = typeof obj?.price === 'string' ? parseFloat(obj.price) : Number(obj?.price); if (sym && Number.isFinite(p)) result[sym] = p; }
+        for (const [sym, obj] of Object.entries(j)) { const p = toNum(obj?.price); if (sym && Number.isFinite(p)) result[sym] = p; }
       }
-    } catch {}
+      onProgress?.({ ...result });
+    }
+    return result;
+  },
+  price: (symbol) => twelveGet('price', symbol),
+  statistics: (symbol) => twelveGet('statistics', symbol),
+  balanceSheet: (symbol, { period } = {}) => twelveGet('balance_sheet', symbol, period ? { period } : {}),
+  incomeStatement: (symbol, { period } = {}) => twelveGet('income_statement', symbol, period ? { period } : {}),
+  cashFlow: (symbol, { period } = {}) => twelveGet('cash_flow', symbol, period ? { period } : {}),
+  timeSeries: (symbol, { interval, outputsize }) => twelveGet('time_series', symbol, { interval, outputsize }),
+  fxRate: (from, to) => twelveGet('exchange_rate', `${from}/${to}`),
+};
+
+/* Offline snapshots: public/data/fixtures/<SYMBOL>.json holds the raw price/statistics/balance_sheet/
+   income_statement responses for one symbol (':' becomes '_'); prices.json maps symbol -> last price
+   and fx.json holds exchange rates. */
+const FIXTURE_DIR = '/data/fixtures';
+const fixtureFile = (symbol) => `${FIXTURE_DIR}/${symbol.replace(/[^A-Za-z0-9._-]/g, '_')}.json`;
+const __fixtures = new Map();
+function loadFixture(symbol) {
+  if (!__fixtures.has(symbol)) {
+    __fixtures.set(symbol, fetch(fixtureFile(symbol)).then((r) => {
+      if (!r.ok) throw Object.assign(new Error(`No offline snapshot for ${symbol}`), { noSnapshot: true });
+      return r.json();
+    }).catch((e) => { __fixtures.delete(symbol); throw e; }));
   }
-  return result;
+  return __fixtures.get(symbol);
 }
+/* Annual statements live under e.g. `income_statement`, quarterly ones under `income_statement_quarterly`. */
+const fixtureStatement = async (symbol, name, { period } = {}) => (await loadFixture(symbol))[period === 'quarterly' ? `${name}_quarterly` : name] || {};
+const fixtureProvider = {
+  id: 'fixtures',
+  label: 'Offline snapshots',
+  offline: true, // covers only the symbols in prices.json; other rows are flagged noSnapshot, not fetched
+  ready: () => true,
+  async prices(symbols) {
+    const r = await fetch(`${FIXTURE_DIR}/prices.json`); if (!r.ok) return {};
+    const all = (await r.json())?.prices || {}; const result = {};
+    for (const sym of symbols) { const p = toNum(all[sym]); if (Number.isFinite(p)) result[sym] = p; }
+    return result;
+  },
+  price: async (symbol) => (await loadFixture(symbol)).price || {},
+  statistics: async (symbol) => (await loadFixture(symbol)).statistics || {},
+  balanceSheet: (symbol, opts) => fixtureStatement(symbol, 'balance_sheet', opts),
+  incomeStatement: (symbol, opts) => fixtureStatement(symbol, 'income_statement', opts),
+  cashFlow: (symbol, opts) => fixtureStatement(symbol, 'cash_flow', opts),
+  /* Snapshots hold daily closes (newest first); weekly bars take every 5th session. */
+  async timeSeries(symbol, { interval, outputsize }) {
+    const ts = (await loadFixture(symbol)).time_series || {};
+    const daily = Array.isArray(ts.values) ? ts.values : [];
+    const values = (interval === '1week' ? daily.filter((_, i) => i % 5 === 0) : daily).slice(0, outputsize);
+    return { ...ts, values };
+  },
+  /* fx.json: { as_of, rates: { 'USD/SAR': 3.75, … } }; the inverse pair is derived */
+  async fxRate(from, to) {
+    const r = await fetch(`${FIXTURE_DIR}/fx.json`); if (!r.ok) throw new Error('No offline FX snapshot');
+    const j = await r.json(); const rates = j?.rates || {};
+    const rate = rates[`${from}/${to}`] ?? (rates[`${to}/${from}`] ? 1 / rates[`${to}/${from}`] : null);
+    if (!rate) throw new Error(`No offline rate for ${from}/${to}`);
+    return { rate, timestamp: Date.parse(j.as_of) / 1000 };
+  },
+};
+
+const DATA_PROVIDERS = { [twelveDataProvider.id]: twelveDataProvider, [fixtureProvider.id]: fixtureProvider };
+const PROVIDER_KEY = 'data_provider';
+/* Settings override env (VITE_DATA_PROVIDER); with neither, use TwelveData only when a key is configured. */
+const providerDefault = () => import.meta.env.VITE_DATA_PROVIDER || (TWELVE_API_KEY ? twelveDataProvider.id : fixtureProvider.id);
+const getProvider = () => DATA_PROVIDERS[localStorage.getItem(PROVIDER_KEY)] || DATA_PROVIDERS[providerDefault()] || twelveDataProvider;
 
 function useMarketData(market) {
   const [grouped, setGrouped] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   useEffect(() => {
-    let stop = false;
+    let stop = false; const abort = new AbortController();
     (async () => {
       setLoading(true); setError('');
       try {
-        const path = MARKET_JSON[market]; const res = await fetch(`${path}?ts=${Date.now()}`);
-        if (!res.ok) throw new Error(`JSON not found at ${path} (HTTP ${res.status})`);
-        const raw = await res.json(); const suffix = MARKET_SUFFIX[market];
+        const raw = await fetchMarketJSON(market); const suffix = MARKET_SUFFIX[market];
         const symbols = Object.values(raw).flatMap((list) => list.map((c) => `${String(c.Ticker)}${suffix}`));
-        let prices = {};
-        try {
-          const cached = cacheRead(PRICE_CACHE_KEY(market), { at: 0, prices: {} });
-          const ageMin = (Date.now() - cached.at) / 60000;
-          if (ageMin < 10 && Object.keys(cached.prices).length) prices = cached.prices;
-          else { prices = await fetchTwelvePrices(symbols); cacheWrite(PRICE_CACHE_KEY(market), { at: Date.now(), prices }); }
-        } catch { prices = {}; }
-        const out = {};
-        for (const [industry, companies] of Object.entries(raw)) {
-          const list = [];
-          for (const company of companies) {
-            const sym = `${String(company.Ticker)}${suffix}`; const price = prices[sym];
-            list.push({ ticker: String(company.Ticker), companyName: String(company.Company).trim(), price: Number.isFinite(price) ? price : null });
+        // done: prices are final, so an offline provider's missing symbols have no snapshot at all
+        const build = (prices, done = false) => {
+          const out = {};
+          for (const [industry, companies] of Object.entries(raw)) {
+            const list = [];
+            for (const company of companies) {
+              const e = companyEntry(company, market, industry); const price = prices[`${e.ticker}${suffix}`];
+              const has = Number.isFinite(price);
+              list.push({ ticker: e.ticker, companyName: e.company, names: e.names, aliases: e.aliases, price: has ? price : null, noSnapshot: done && !has && !!getProvider().offline });
+            }
+            if (list.length) out[industry] = list;
           }
-          if (list.length) out[industry] = list;
+          return out;
+        };
+        const provider = getProvider();
+        const cached = cacheRead(PRICE_CACHE_KEY(market), { at: 0, prices: {} });
+        const fresh = Date.now() - cached.at < PRICE_TTL_MS;
+        const usable = cached.provider === provider.id && Object.keys(cached.prices).length > 0;
+        if (usable && (fresh || isOffline())) {
+          if (!fresh) markStale(cached.at);
+          if (!stop) { setGrouped(build(cached.prices, true)); setLoading(false); }
+          return;
         }
-        if (!stop) setGrouped(out);
+        // Show the list right away; rate-limited price batches fill in as they arrive.
+        if (!stop) { setGrouped(build({})); setLoading(false); }
+        let prices = await provider.prices(symbols, (partial) => { if (!stop) setGrouped(build(partial)); }, abort.signal);
+        if (stop) return;
+        if (Object.keys(prices).length) {
+          cacheWrite(PRICE_CACHE_KEY(market), { at: Date.now(), prices, provider: provider.id });
+          setStaleAt(0); checkPriceAlerts(market, prices);
+        } else if (usable) { markStale(cached.at); prices = cached.prices; }
+        if (!stop) setGrouped(build(prices, true));
       } catch (e) { if (!stop) setError(e?.message || 'Failed to load market'); }
       finally { if (!stop) setLoading(false); }
     })();
-    return () => { stop = true; };
+    return () => { stop = true; abort.abort(); };
   }, [market]);
-  return { grouped, loading, error, currency: MARKET_CCY[market] };
+  return { grouped, loading, error, currency: MARKET_CCY[market], asOf: marketInfo(market)?.data?.asOf, version: marketInfo(market)?.data?.version };
+}
+
+/* ========================== Fair-value weighting profiles ========================== */
+// A profile weights the per-share components (EV/PE/PS/Book) and sets the upside % thresholds
+// for the under/fair/over verdict. Scope is a market and/or industry; '*' matches anything.
+const WEIGHTS_KEY = 'fv_weights_v1';
+const WEIGHT_COMPONENTS = [
+  { id: 'ev', field: 'fairEV', label: 'EV' },
+  { id: 'pe', field: 'fairPE', label: 'PE' },
+  { id: 'ps', field: 'fairPS', label: 'PS' },
+  { id: 'book', field: 'bookValue', label: 'Book' },
+];
+const DEFAULT_PROFILE = { id: 'default', name: 'Default', market: '*', industry: '*', weights: { ev: 0.5, pe: 0.25, ps: 0.25, book: 0 }, under: 25, over: 0 };
+const PROFILE_TEMPLATES = [
+  { name: 'Tech (sales-heavy)', weights: { ev: 0.3, pe: 0.2, ps: 0.5, book: 0 }, under: 25, over: 0 },
+  { name: 'Banks (book-heavy)', weights: { ev: 0.1, pe: 0.4, ps: 0, book: 0.5 }, under: 20, over: 0 },
+];
+
+const num0 = (x) => (Number.isFinite(Number(x)) ? Number(x) : 0);
+function normalizeProfile(p) {
+  const w = p?.weights || {};
+  return {
+    id: String(p?.id || newId('p')),
+    name: String(p?.name || 'Untitled').slice(0, 60),
+    market: p?.market && p.market !== '*' ? String(p.market) : '*',
+    industry: p?.industry && p.industry !== '*' ? String(p.industry) : '*',
+    weights: Object.fromEntries(WEIGHT_COMPONENTS.map(({ id }) => [id, Math.max(0, num0(w[id]))])),
+    under: Number.isFinite(Number(p?.under)) ? Number(p.under) : DEFAULT_PROFILE.under,
+    over: Number.isFinite(Number(p?.over)) ? Number(p.over) : DEFAULT_PROFILE.over,
+  };
+}
+function loadProfiles() {
+  const list = cacheRead(WEIGHTS_KEY, null);
+  const out = Array.isArray(list) ? list.map(normalizeProfile) : [];
+  return out.some((p) => p.id === DEFAULT_PROFILE.id) ? out : [DEFAULT_PROFILE, ...out];
+}
+const useWeightProfiles = () => useStoredState(WEIGHTS_KEY, loadProfiles);
+/* Most specific match wins: market+industry > industry > market > default */
+function resolveProfile(profiles, market, industry) {
+  let best = null, bestScore = -1;
+  for (const p of profiles) {
+    if (p.market !== '*' && p.market !== market) continue;
+    if (p.industry !== '*' && p.industry !== industry) continue;
+    const score = (p.market !== '*' ? 1 : 0) + (p.industry !== '*' ? 2 : 0);
+    if (score > bestScore) { best = p; bestScore = score; }
+  }
+  return best || DEFAULT_PROFILE;
+}
+function weightedFairValue(m, weights = DEFAULT_PROFILE.weights) {
+  let sum = 0, total = 0;
+  for (const { id, field } of WEIGHT_COMPONENTS) { const w = num0(weights[id]); if (w > 0) { sum += w * num0(m[field]); total += w; } }
+  return total > 0 ? sum / total : 0;
 }
+const applyProfile = (m, profile) => (m ? { ...m, weighted: weightedFairValue(m, profile.weights) } : m);
+const formulaText = (profile) => {
+  const w = profile.weights; const total = WEIGHT_COMPONENTS.reduce((a, { id }) => a + num0(w[id]), 0) || 1;
+  return WEIGHT_COMPONENTS.filter(({ id }) => num0(w[id]) > 0).map(({ id, label }) => `${round2(num0(w[id]) / total)}*${label}`).join(' + ');
+};
+const profileSig = (profile) => WEIGHT_COMPONENTS.map(({ id }) => round2(num0(profile.weights[id]))).join('-');
+const verdictOf = (pct, profile = DEFAULT_PROFILE) => (pct >= profile.under ? 'under' : pct >= profile.over ? 'fair' : 'over');
 
 /* ========================== Metrics (EV/PE/PS) + cache ========================== */
-const pctColor = (pct) => (pct >= 25 ? 'text-green-600' : pct >= 0 ? 'text-blue-600' : 'text-red-600');
+const pctColor = (pct, profile) => ({ under: 'text-green-600', fair: 'text-blue-600', over: 'text-red-600' })[verdictOf(pct, profile)];
 const bandColor = (v, low, high) => (v < low ? 'text-red-600' : v < high ? 'text-amber-600' : 'text-green-600');
 
+const asNum = (x) => { if (x == null) return 0; if (typeof x === 'number') return x; if (typeof x === 'string') { const n = parseFloat(x.replace(/,/g, '')); return isFinite(n) ? n : 0; } return 0; };
+
+/* Raw statements from the last metrics fetch, kept in memory only (too large for localStorage
+   across a whole screener run); history views reuse them instead of spending credits again. */
+const STATEMENTS_TTL_MS = 24 * 60 * 60 * 1000;
+const __statements = new Map();
+const statementsPut = (symbol, statistics, bsJson, isJson) => __statements.set(`${getProvider().id}:${symbol}`, {
+  at: Date.now(),
+  statistics: statistics || {},
+  balance_sheet: Array.isArray(bsJson?.balance_sheet) ? bsJson.balance_sheet : [],
+  income_statement: Array.isArray(isJson?.income_statement) ? isJson.income_statement : [],
+});
+async function getStatements(symbol) {
+  const provider = getProvider(); const key = `${provider.id}:${symbol}`; const hit = __statements.get(key);
+  if (hit && Date.now() - hit.at < STATEMENTS_TTL_MS) return hit;
+  if (!provider.ready()) return { statistics: {}, balance_sheet: [], income_statement: [] };
+  const soft = (p) => p.catch((e) => { if (e?.quota) throw e; return {}; });
+  const [statsJson, bsJson, isJson] = await Promise.all([
+    provider.statistics(symbol), soft(provider.balanceSheet(symbol)), soft(provider.incomeStatement(symbol)),
+  ]);
+  statementsPut(symbol, statsJson?.statistics, bsJson, isJson);
+  return __statements.get(key);
+}
+
+// Credits one fetchValuationMetrics call spends on TwelveData (price + statistics + two statements)
+const METRICS_CREDITS = ['price', 'statistics', 'balance_sheet', 'income_statement'].reduce((n, e) => n + TWELVE_COST[e], 0);
 async function fetchValuationMetrics(symbolWithSuffix, currency) {
-  if (!TWELVE_API_KEY) {
-    return { price: 0, fairEV: 0, fairPE: 0, fairPS: 0, weighted: 0, bookValue: 0, grossMargin: 0, netMargin: 0, opMargin: 0, currency };
-  }
-  const base = 'https://api.twelvedata.com'; const key = TWELVE_API_KEY; const enc = (s) => encodeURIComponent(s);
-  const [priceResp, statsResp, bsResp, isResp] = await Promise.all([
-    fetch(`${base}/price?symbol=${enc(symbolWithSuffix)}&apikey=${key}`),
-    fetch(`${base}/statistics?symbol=${enc(symbolWithSuffix)}&apikey=${key}`),
-    fetch(`${base}/balance_sheet?symbol=${enc(symbolWithSuffix)}&apikey=${key}`),
-    fetch(`${base}/income_statement?symbol=${enc(symbolWithSuffix)}&apikey=${key}`),
+  const provider = getProvider();
+  if (!provider.ready()) {
+    return { price: 0, fairEV: 0, fairPE: 0, fairPS: 0, weighted: 0, bookValue: 0, grossMargin: 0, netMargin: 0, opMargin: 0, eps: 0, trailingPE: 0, forwardPE: 0, earningsGrowth: 0, revenueGrowth: 0, currency };
+  }
+  // Statements are optional (not every plan/provider has them); quota errors still abort.
+  const missing = [];
+  const optional = (name, p) => p.catch((e) => { if (e?.quota) throw e; missing.push(name); return {}; });
+  const [priceJson, statsJson, bsJson, isJson] = await Promise.all([
+    provider.price(symbolWithSuffix),
+    provider.statistics(symbolWithSuffix),
+    optional('balance_sheet', provider.balanceSheet(symbolWithSuffix)),
+    optional('income_statement', provider.incomeStatement(symbolWithSuffix)),
   ]);
-  const priceJson = await priceResp.json(); const statsJson = await statsResp.json(); const bsJson = await bsResp.json(); const isJson = await isResp.json();
-  const asNum = (x) => { if (x == null) return 0; if (typeof x === 'number') return x; if (typeof x === 'string') { const n = parseFloat(x.replace(/,/g, '')); return isFinite(n) ? n : 0; } return 0; };
   const price = asNum(priceJson?.price);
   const stats = statsJson?.statistics || {};
+  statementsPut(symbolWithSuffix, stats, bsJson, isJson);
   const bs0 = Array.isArray(bsJson?.balance_sheet) ? bsJson.balance_sheet[0] : {};
   const is0 = Array.isArray(isJson?.income_statement) ? isJson.income_statement[0] : {};
   const enterpriseValue = asNum(stats?.valuations_metrics?.enterprise_value);
@@ -186,26 +642,158 @@ async function fetchValuationMetrics(symbolWithSuffix, currency) {
     fairPE = (forwardPE * netIncome) / sharesOutstanding;
     fairPS = (priceToSales * sales) / sharesOutstanding;
   }
-  const weighted = fairEV * 0.5 + fairPE * 0.25 + fairPS * 0.25;
   const bookValue = asNum(stats?.financials?.balance_sheet?.book_value_per_share_mrq);
+  const weighted = weightedFairValue({ fairEV, fairPE, fairPS, bookValue });
   const grossMargin = asNum(stats?.financials?.gross_margin) * 100;
   const netMargin = asNum(stats?.financials?.profit_margin) * 100;
   const opMargin = asNum(stats?.financials?.operating_margin) * 100;
-  return { price, fairEV, fairPE, fairPS, weighted, bookValue, grossMargin, netMargin, opMargin, currency };
+  // Inputs for the DCF / P/E-multiple models (growth rates as fractions, e.g. 0.12)
+  const eps = asNum(stats?.financials?.income_statement?.diluted_eps_ttm);
+  const trailingPE = asNum(stats?.valuations_metrics?.trailing_pe);
+  const earningsGrowth = asNum(stats?.financials?.income_statement?.quarterly_earnings_growth_yoy);
+  const revenueGrowth = asNum(stats?.financials?.income_statement?.quarterly_revenue_growth);
+  return { price, fairEV, fairPE, fairPS, weighted, bookValue, grossMargin, netMargin, opMargin, eps, trailingPE, forwardPE, earningsGrowth, revenueGrowth, currency, missing };
 }
 const metricsCacheGet = () => cacheRead(METRICS_CACHE_KEY, {});
-const metricsCachePut = (k, data) => { const all = metricsCacheGet(); all[k] = { at: Date.now(), data }; cacheWrite(METRICS_CACHE_KEY, all); };
+const metricsCachePut = (k, data) => { const all = metricsCacheGet(); all[k] = { at: Date.now(), data, provider: getProvider().id }; cacheWrite(METRICS_CACHE_KEY, all); };
+const METRICS_TTL_MS = 30 * 60 * 1000;
+const metricsCacheFresh = (symbolWithSuffix, all = metricsCacheGet()) => {
+  const hit = all[symbolWithSuffix];
+  return hit && hit.provider === getProvider().id && (Date.now() - hit.at) < METRICS_TTL_MS ? hit.data : null;
+};
+const __metricsInflight = new Map();
+/* Fresh cache, else fetch; offline or on a failed fetch the last cached metrics (any age) are served as stale */
 async function getValuationMetricsCached(symbolWithSuffix, currency) {
-  const hit = metricsCacheGet()[symbolWithSuffix]; const fresh = hit && (Date.now() - hit.at) < 30 * 60 * 1000;
-  if (fresh) return hit.data; const data = await fetchValuationMetrics(symbolWithSuffix, currency); metricsCachePut(symbolWithSuffix, data); return data;
+  const hit = metricsCacheFresh(symbolWithSuffix);
+  if (hit) return hit;
+  const last = metricsCacheGet()[symbolWithSuffix];
+  const fallback = last?.provider === getProvider().id ? last : null;
+  if (fallback && isOffline()) { markStale(fallback.at); return fallback.data; }
+  if (!__metricsInflight.has(symbolWithSuffix)) {
+    __metricsInflight.set(symbolWithSuffix, fetchValuationMetrics(symbolWithSuffix, currency)
+      .then((data) => { metricsCachePut(symbolWithSuffix, data); checkMetricAlerts(symbolWithSuffix, data); return data; })
+      .catch((e) => { if (!fallback || e?.quota) throw e; markStale(fallback.at); return fallback.data; })
+      .finally(() => __metricsInflight.delete(symbolWithSuffix)));
+  }
+  return __metricsInflight.get(symbolWithSuffix);
+}
+
+/* Fill metrics for many { market, ticker } items lazily, one stock at a time (the TwelveData
+   scheduler keeps the pace within TWELVE_RPM; a stock costs METRICS_CREDITS). Once the daily quota is
+   exhausted the fill stops and `halted` counts the items left. Results are keyed by metricsKey(market, ticker). */
+const metricsKey = (market, ticker) => `${market}:${ticker}`;
+function useLazyMetrics(items, enabled = true) {
+  const [metrics, setMetrics] = useState({});
+  const [pending, setPending] = useState(0);
+  const [halted, setHalted] = useState(0);
+  const itemsKey = useMemo(() => items.map((it) => metricsKey(it.market, it.ticker)).join(','), [items]);
+  useEffect(() => {
+    if (!enabled) return;
+    let stop = false;
+    const keys = itemsKey ? itemsKey.split(',') : [];
+    const cached = {}; const todo = [];
+    for (const k of keys) {
+      const [market, ticker] = k.split(':');
+      const hit = metricsCacheFresh(`${ticker}${MARKET_SUFFIX[market]}`);
+      if (hit) cached[k] = hit; else todo.push([k, market, ticker]);
+    }
+    setMetrics((prev) => ({ ...prev, ...cached })); setPending(todo.length); setHalted(0);
+    (async () => {
+      for (const [i, [k, market, ticker]] of todo.entries()) {
+        if (stop) return;
+        const quotaOut = () => { if (!stop) { setPending(0); setHalted(todo.length - i); } };
+        if (twelveExhausted()) return quotaOut();
+        let data = null;
+        try { data = await getValuationMetricsCached(`${ticker}${MARKET_SUFFIX[market]}`, MARKET_CCY[market]); } catch (e) {
+          if (e?.quota) return quotaOut();
+        }
+        if (stop) return;
+        setMetrics((prev) => ({ ...prev, [k]: data }));
+        setPending((n) => Math.max(0, n - 1));
+      }
+    })();
+    return () => { stop = true; };
+  }, [itemsKey, enabled]);
+  return { metrics, pending, halted };
+}
+
+/* Which rendered rows are on screen: pass `observe` as the ref of elements carrying data-key.
+   `visible` is a Set of those keys, or null without IntersectionObserver (then every row counts). */
+function useVisibleKeys() {
+  const [visible, setVisible] = useState(() => (typeof IntersectionObserver === 'undefined' ? null : new Set()));
+  const observer = useRef(null);
+  const observe = useCallback((el) => {
+    if (!el || typeof IntersectionObserver === 'undefined') return;
+    observer.current ||= new IntersectionObserver((entries) => setVisible((prev) => {
+      const next = new Set(prev);
+      for (const e of entries) { if (e.isIntersecting) next.add(e.target.dataset.key); else next.delete(e.target.dataset.key); }
+      return next;
+    }), { rootMargin: '200px 0px' });
+    observer.current.observe(el);
+  }, []);
+  useEffect(() => () => observer.current?.disconnect(), []);
+  return [visible, observe];
 }
 
 /* ========================== i18n ========================== */
+/* UI text lives in src/locales/<lang>.json as flat dotted keys; T(key, params) looks a key up in the
+   active catalog, falling back to English. `{name}` placeholders are filled from params (numbers are
+   formatted for the locale) and plural messages are objects keyed by Intl.PluralRules category,
+   chosen by params.count. `npm run check:i18n` fails when catalogs disagree on keys, placeholders or
+   plural forms. A new language is a catalog plus an entry here. */
+const LOCALES = {
+  en: { name: 'English', short: 'EN', dir: 'ltr', intl: 'en', currencyDisplay: 'code', messages: enMessages },
+  ar: { name: 'Arabic', short: 'ع', dir: 'rtl', intl: 'ar-u-nu-arab', currencyDisplay: 'name', messages: arMessages },
+};
+const DEFAULT_LANG = 'en';
+const LANG_KEY = 'lang';
+const localeOf = (lang) => LOCALES[lang] || LOCALES[DEFAULT_LANG];
+const savedLang = () => { const l = localStorage.getItem(LANG_KEY); return LOCALES[l] ? l : DEFAULT_LANG; };
+/* Picks one language from bilingual data such as the market registry's { en, ar } labels */
+const localized = (obj, lang) => (obj == null || typeof obj !== 'object' ? obj : obj[lang] ?? obj[DEFAULT_LANG]);
+
+const __intl = new Map();
+const intlCached = (Ctor, locale, opts) => {
+  const k = `${Ctor.name}|${locale}|${JSON.stringify(opts)}`;
+  if (!__intl.has(k)) __intl.set(k, new Ctor(locale, opts));
+  return __intl.get(k);
+};
+const numberFormat = (lang, opts = {}) => intlCached(Intl.NumberFormat, localeOf(lang).intl, opts);
+const fixed = (d) => (d == null ? {} : { minimumFractionDigits: d, maximumFractionDigits: d });
+const formatNumber = (n, lang, digits) => (Number.isFinite(n) ? numberFormat(lang, fixed(digits)).format(n) : '—');
+/* n is already a percentage (12.5 -> 12.5%) */
+const formatPct = (n, lang, digits = 2, signDisplay = 'auto') => (Number.isFinite(n) ? numberFormat(lang, { style: 'percent', signDisplay, ...fixed(digits) }).format(n / 100) : '—');
+function formatMoney(n, ccy, lang, digits = 2) {
+  if (!Number.isFinite(n)) return '—';
+  if (!ccy) return formatNumber(n, lang, digits);
+  try { return numberFormat(lang, { style: 'currency', currency: ccy, currencyDisplay: localeOf(lang).currencyDisplay, ...fixed(digits) }).format(n); } catch { return `${formatNumber(n, lang, digits)} ${ccy}`; }
+}
+const formatList = (items, lang) => intlCached(Intl.ListFormat, localeOf(lang).intl, { style: 'narrow', type: 'unit' }).format(items);
+const formatDate = (t, lang, opts) => intlCached(Intl.DateTimeFormat, localeOf(lang).intl, opts).format(new Date(t));
+/* minutes -> "40 minutes" / "3.5 hours" / "2.1 days" */
+const formatDuration = (minutes, lang) => {
+  const [n, unit] = minutes < 90 ? [Math.max(1, Math.ceil(minutes)), 'minute'] : minutes < 2 * 1440 ? [minutes / 60, 'hour'] : [minutes / 1440, 'day'];
+  return numberFormat(lang, { style: 'unit', unit, unitDisplay: 'long', maximumFractionDigits: 1 }).format(n);
+};
+
+function translate(lang, key, params) {
+  let msg = localeOf(lang).messages[key] ?? LOCALES[DEFAULT_LANG].messages[key];
+  if (msg == null) return key;
+  if (typeof msg === 'object') msg = msg[intlCached(Intl.PluralRules, localeOf(lang).intl).select(params?.count ?? 0)] ?? msg.other;
+  if (!params) return msg;
+  return msg.replace(/\{(\w+)\}/g, (_, k) => (params[k] == null ? '' : typeof params[k] === 'number' ? formatNumber(params[k], lang) : String(params[k])));
+}
+
 function useLang() {
-  const [lang, setLang] = useState(() => localStorage.getItem('lang') || 'en'); // default EN
-  useEffect(() => { localStorage.setItem('lang', lang); }, [lang]);
-  const T = (ar, en) => (lang === 'ar' ? ar : en);
-  return { lang, setLang, T };
+  const [lang, setLangState] = useState(savedLang); // default EN
+  const setLang = (l) => { prefWrite(LANG_KEY, l); setLangState(l); };
+  useEffect(() => {
+    const onStore = (e) => { if (e.detail?.key === LANG_KEY) setLangState(savedLang()); };
+    window.addEventListener(STORE_EVENT, onStore);
+    return () => window.removeEventListener(STORE_EVENT, onStore);
+  }, []);
+  const T = (key, params) => translate(lang, key, params);
+  return { lang, setLang, T, dir: localeOf(lang).dir };
 }
 
 /* ========================== AI backends ========================== */
@@ -214,24 +802,85 @@ const MODEL_CANDIDATES = [
   'Llama-3.2-1B-Instruct-q4f16_1-MLC',
   'Qwen2.5-1.5B-Instruct-q4f16_1-MLC',
 ];
+const modelRecord = (id) => prebuiltAppConfig.model_list.find((r) => r.model_id === id);
+/* On-device models offered in Settings: WebLLM's prebuilt general-purpose chat models that it marks
+   low-resource, 4-bit (q4f16 needs the GPU's shader-f16 feature, q4f32 doesn't), plus the auto
+   candidates; smallest first. The records give the GPU memory (VRAM) a model needs, not its download size. */
+const WEBLLM_MODELS = prebuiltAppConfig.model_list
+  .filter((r) => MODEL_CANDIDATES.includes(r.model_id)
+    || (!r.model_type && r.low_resource_required && /-Instruct-q4f(16|32)_1-MLC$/i.test(r.model_id) && !/Coder|Math/i.test(r.model_id)))
+  .sort((a, b) => a.vram_required_MB - b.vram_required_MB)
+  .map((r) => r.model_id);
+/* Device-local AI settings (never synced: may hold an API key).
+   backend: 'auto' (WebLLM when WebGPU exists, else the endpoint when it has a key) | 'webllm' | 'openai' | 'local';
+   model: '' tries MODEL_CANDIDATES in order; baseUrl/apiKey/apiModel override the VITE_OPENAI_* build values. */
+const AI_SETTINGS_KEY = 'ai_settings_v1';
+const loadAiSettings = () => ({ backend: 'auto', model: '', baseUrl: '', apiKey: '', apiModel: '', ...cacheRead(AI_SETTINGS_KEY, {}) });
 let __engine = null;
 let __modelId = null;
+let __engineLoading = null;
+/* Load state for progress UI: status 'idle' | 'loading' | 'ready' | 'error', progress 0..1 from WebLLM's init callback */
+const __engineState = { status: 'idle', modelId: null, progress: 0, text: '', listeners: new Set() };
+const setEngineState = (patch) => { Object.assign(__engineState, patch); const snap = { ...__engineState }; __engineState.listeners.forEach((fn) => fn(snap)); };
+function useEngineState() {
+  const [state, setState] = useState(() => ({ ...__engineState }));
+  useEffect(() => { __engineState.listeners.add(setState); return () => { __engineState.listeners.delete(setState); }; }, []);
+  return state;
+}
 
 async function tryCreateEngine(modelId) {
-  try { return await CreateMLCEngine(modelId); } catch (e1) {
-    try { return await CreateMLCEngine({ model: modelId }); } catch (e2) {
+  const initProgressCallback = (r) => setEngineState({ progress: r.progress, text: r.text });
+  try { return await CreateMLCEngine(modelId, { initProgressCallback }); } catch (e1) {
+    try { return await CreateMLCEngine({ model: modelId }, { initProgressCallback }); } catch (e2) {
       const err = new Error(`Failed to init model ${modelId}: ${e2?.message || e1?.message || 'unknown'}`); err.cause = e2 || e1; throw err;
     }
   }
 }
-async function getEngine() {
-  if (__engine) return __engine;
+async function loadEngine(want) {
+  if (__engine) await unloadEngine();
   let lastErr;
-  for (const mid of MODEL_CANDIDATES) {
-    try { const eng = await tryCreateEngine(mid); __engine = eng; __modelId = mid; return eng; } catch (e) { lastErr = e; }
+  for (const mid of want ? [want] : MODEL_CANDIDATES) {
+    setEngineState({ status: 'loading', modelId: mid, progress: 0, text: '' });
+    try { const eng = await tryCreateEngine(mid); __engine = eng; __modelId = mid; setEngineState({ status: 'ready', progress: 1 }); return eng; } catch (e) { lastErr = e; }
   }
+  setEngineState({ status: 'error', text: lastErr?.message || '' });
   throw lastErr || new Error('No WebLLM model could be initialized.');
 }
+/* The model picked in Settings, or the first candidate that loads; concurrent callers share one load */
+async function getEngine() {
+  const want = loadAiSettings().model;
+  if (__engine && (!want || want === __modelId)) return __engine;
+  if (!__engineLoading) __engineLoading = loadEngine(want).finally(() => { __engineLoading = null; });
+  return __engineLoading;
+}
+async function unloadEngine() {
+  const eng = __engine; __engine = null; __modelId = null;
+  setEngineState({ status: 'idle', modelId: null, progress: 0, text: '' });
+  try { await eng?.unload(); } catch { /* already released */ }
+}
+/* Deletes downloaded weights, tokenizer and wasm; unloads the engine first if it uses one of them */
+async function clearModelWeights(ids = WEBLLM_MODELS) {
+  if (ids.includes(__modelId)) await unloadEngine();
+  for (const id of ids) await deleteModelAllInfoInCache(id);
+}
+function clearStoragePrefix(prefix) {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) { const k = localStorage.key(i); if (k?.startsWith(prefix)) keys.push(k); }
+  keys.forEach((k) => localStorage.removeItem(k));
+  return keys.length;
+}
+
+function EngineProgress({ state, T }) {
+  if (state.status !== 'loading') return null;
+  const pct = Math.round((state.progress || 0) * 100);
+  return (
+    <div className="text-xs text-gray-600 space-y-1">
+      <div className="h-1.5 w-full rounded bg-gray-100 overflow-hidden" dir="ltr"><div className="h-full bg-gray-900 transition-all" style={{ width: `${pct}%` }} /></div>
+      <div>{T('ai.loadingModel', { model: state.modelId, pct })}</div>
+      {state.text && <div className="text-gray-400 truncate" dir="ltr" title={state.text}>{state.text}</div>}
+    </div>
+  );
+}
 function extractJSON(text) {
   if (!text) return null;
   const fence = /```(?:json)?\s*([\s\S]*?)```/i.exec(text); const raw = fence ? fence[1] : text;
@@ -246,511 +895,3438 @@ const OPENAI_KEY = import.meta.env.VITE_OPENAI_API_KEY || '';
 const OPENAI_BASE = import.meta.env.VITE_OPENAI_API_BASE || 'https://api.openai.com/v1';
 const OPENAI_MODEL = import.meta.env.VITE_OPENAI_MODEL || 'gpt-4o-mini';
 
-/* Arabic currency label */
+/* Currency name for languages that spell currencies out (see LOCALES currencyDisplay); the code otherwise */
 function ccyName(ccy, lang) {
-  if (lang === 'ar') {
-    if (ccy === 'SAR') return 'ريال سعودي';
-    if (ccy === 'USD') return 'دولار أمريكي';
-  }
-  return ccy;
+  if (!ccy || localeOf(lang).currencyDisplay === 'code') return ccy;
+  try { return intlCached(Intl.DisplayNames, localeOf(lang).intl, { type: 'currency' }).of(ccy) || ccy; } catch { return ccy; }
 }
-const AR_PERCENT = '٪';
 function Pct({ n, lang }) {
-  const num = Number.isFinite(n) ? n : 0;
-  const symbol = lang === 'ar' ? AR_PERCENT : '%';
-  return <bdi>{num.toFixed(2)}{symbol}</bdi>;
+  return <bdi>{formatPct(Number.isFinite(n) ? n : 0, lang)}</bdi>;
 }
-function buildXShare({ ticker, company, lang, url, m, aiFV }) {
-  const num = (x) => (Number.isFinite(x) ? x.toFixed(2) : '—');
+/* Plain-text summary shared to X and alongside the report image */
+function shareText({ ticker, company, lang, url, m, aiFV, range }) {
+  const T = (key, params) => translate(lang, key, params);
   const cc = m?.currency || '';
+  const money = (x) => formatMoney(x, cc, lang);
+  const num = (x) => formatNumber(x, lang, 2);
+  const signed = (x) => formatPct(x, lang, 1, 'exceptZero');
+  const hasRange = range?.low != null && range.lowPct != null;
   const diff = (m && Number.isFinite(aiFV) && Number.isFinite(m.weighted) && m.weighted !== 0)
     ? ((aiFV - m.weighted) / m.weighted) * 100
     : null;
-  const lines = lang === 'ar'
-    ? [
-        `📊 ${(company || ticker)} (${ticker})\n`,
-        `السعر: ${num(m?.price)} ${cc}\n`,
-        `العادلة (موزونة): ${num(m?.weighted)} ${cc}\n`,
-        `EV: ${num(m?.fairEV)} • PE: ${num(m?.fairPE)} • PS: ${num(m?.fairPS)}\n`,
-        (diff != null ? `الذكاء الاصطناعي: ${num(aiFV)} ${cc} (${diff.toFixed(2)}${AR_PERCENT} مقابل التطبيق)\n` : ''),
-        url || '',
-      ]
-    : [
-        `📊 ${(company || ticker)} (${ticker})\n`,
-        `Price: ${num(m?.price)} ${cc}\n`,
-        `Fair (Weighted): ${num(m?.weighted)} ${cc}\n`,
-        `EV: ${num(m?.fairEV)} • PE: ${num(m?.fairPE)} • PS: ${num(m?.fairPS)}\n`,
-        (diff != null ? `AI: ${num(aiFV)} ${cc} (${diff.toFixed(2)}% vs app)\n` : ''),
-        url || '',
-      ];
-  return `https://x.com/intent/tweet?text=${encodeURIComponent(lines.filter(Boolean).join(''))}`;
+  const lines = [
+    `📊 ${(company || ticker)} (${ticker})`,
+    T('share.price', { price: money(m?.price) }),
+    T('share.weighted', { value: money(m?.weighted) }),
+    `EV: ${num(m?.fairEV)} • PE: ${num(m?.fairPE)} • PS: ${num(m?.fairPS)}`,
+    hasRange && T('share.range', { low: money(range.low), high: money(range.high), lowPct: signed(range.lowPct), highPct: signed(range.highPct) }),
+    diff != null && T('share.ai', { value: money(aiFV), diff: formatPct(diff, lang) }),
+    url,
+  ];
+  return lines.filter(Boolean).join('\n');
+}
+const buildXShare = (args) => `https://x.com/intent/tweet?text=${encodeURIComponent(shareText(args))}`;
+
+/* ========================== Stock report ========================== */
+// One model feeds both the 1080×1080 PNG card (download / Web Share attachment) and the printable
+// A4 page, so the two always agree. Values are pre-formatted for the report language; layout mirrors
+// for RTL (canvas `direction` + x measured from the start edge, `dir` on the printed document).
+const REPORT_BRAND = 'Trueprice.cash';
+const REPORT_TONE = { under: '#16a34a', fair: '#2563eb', over: '#dc2626' };
+const REPORT_VERDICT_KEY = { under: 'stock.verdictUnder', fair: 'stock.verdictFair', over: 'stock.verdictOver' };
+const REPORT_FONT = 'system-ui, -apple-system, "Segoe UI", Tahoma, "Noto Sans Arabic", "Geeza Pro", sans-serif';
+
+function reportModel({ ticker, company, lang, url, m, aiFV, range, profile = DEFAULT_PROFILE }) {
+  const T = (key, params) => translate(lang, key, params);
+  const money = (x) => (Number.isFinite(x) ? formatMoney(x, m.currency || '', lang) : '—');
+  const upside = m.price ? ((m.weighted - m.price) / m.price) * 100 : null;
+  const verdict = upside == null ? null : verdictOf(upside, profile);
+  const aiDiff = Number.isFinite(aiFV) && m.weighted ? ((aiFV - m.weighted) / m.weighted) * 100 : null;
+  return {
+    lang, dir: localeOf(lang).dir, ticker, company: company || ticker, url, profile: profile.name,
+    title: T('report.title'), date: formatDate(Date.now(), lang, { dateStyle: 'medium' }),
+    price: { label: T('report.price'), value: money(m.price) },
+    weighted: { label: T('stock.weightedFairValue'), value: money(m.weighted), upside: upside == null ? '' : formatPct(upside, lang, 1, 'exceptZero') },
+    verdict, verdictText: verdict ? T(REPORT_VERDICT_KEY[verdict]) : '',
+    components: [['stock.enterpriseValue', m.fairEV], ['stock.earningValue', m.fairPE], ['stock.salesValue', m.fairPS], ['stock.bookValue', m.bookValue]]
+      .map(([k, v]) => ({ label: T(k), value: money(v) })),
+    margins: [['metric.grossMargin', m.grossMargin], ['metric.opMargin', m.opMargin], ['metric.netMargin', m.netMargin]]
+      .map(([k, v]) => ({ label: T(k), value: Number.isFinite(v) ? formatPct(v, lang, 1) : '—' })),
+    range: range?.low != null ? { label: T('report.range'), value: `${money(range.low)} – ${money(range.high)}` } : null,
+    ai: aiDiff != null ? { label: T('report.ai'), value: money(aiFV), diff: T('report.aiVsWeighted', { diff: formatPct(aiDiff, lang, 1, 'exceptZero') }) } : null,
+    sections: { components: T('stock.stockFairValue'), margins: T('stock.financialIndicators') },
+    disclaimer: `${T('stock.disclaimer')} ${T('stock.notAdvice')}`,
+    text: shareText({ ticker, company, lang, url, m, aiFV, range }),
+  };
+}
+const reportFileName = (r, ext) => `trueprice-${r.ticker}-report.${ext}`;
+
+/* -> Promise<Blob> (image/png) */
+async function drawReportCard(r) {
+  const W = 1080, H = 1080, P = 64, rtl = r.dir === 'rtl';
+  const canvas = document.createElement('canvas'); canvas.width = W; canvas.height = H;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('canvas 2d context unavailable');
+  await document.fonts?.ready;
+  ctx.direction = r.dir;
+  const x = (d) => (rtl ? W - d : d); // d = distance from the start edge
+  const text = (s, d, y, { size = 26, weight = 400, color = '#111827', align = 'start', max } = {}) => {
+    ctx.font = `${weight} ${size}px ${REPORT_FONT}`; ctx.fillStyle = color; ctx.textAlign = align;
+    ctx.fillText(String(s), x(d), y, max);
+  };
+  const box = (d, y, w, h, color) => {
+    ctx.fillStyle = color; ctx.beginPath();
+    if (ctx.roundRect) ctx.roundRect(rtl ? W - d - w : d, y, w, h, 16); else ctx.rect(rtl ? W - d - w : d, y, w, h);
+    ctx.fill();
+  };
+  const tone = REPORT_TONE[r.verdict] || '#111827';
+
+  ctx.fillStyle = '#ffffff'; ctx.fillRect(0, 0, W, H);
+  ctx.fillStyle = '#111827'; ctx.fillRect(0, 0, W, 112);
+  text(REPORT_BRAND, P, 70, { size: 40, weight: 700, color: '#ffffff' });
+  text(r.date, W - P, 70, { size: 24, color: '#d1d5db', align: 'end' });
+
+  text(r.company, P, 200, { size: 54, weight: 700, max: W - 2 * P });
+  text(`${r.ticker} • ${r.title}`, P, 248, { size: 28, color: '#6b7280', max: W - 2 * P });
+
+  const half = (W - 2 * P) / 2;
+  text(r.price.label, P, 328, { color: '#6b7280' });
+  text(r.price.value, P, 388, { size: 50, weight: 700, max: half - 16 });
+  text(r.weighted.label, P + half, 328, { color: '#6b7280', max: half });
+  text(r.weighted.value, P + half, 388, { size: 50, weight: 700, color: tone, max: half });
+  if (r.verdictText) text(`${r.verdictText} (${r.weighted.upside})`, P, 444, { size: 30, weight: 600, color: tone, max: W - 2 * P });
+
+  text(r.sections.components, P, 522, { size: 28, weight: 700 });
+  const bw = (W - 2 * P - 24) / 2;
+  r.components.forEach((c, i) => {
+    const d = P + (i % 2) * (bw + 24), y = 544 + Math.floor(i / 2) * 104;
+    box(d, y, bw, 88, '#f3f4f6');
+    text(c.label, d + 20, y + 32, { size: 22, color: '#6b7280', max: bw - 40 });
+    text(c.value, d + 20, y + 70, { size: 32, weight: 700, max: bw - 40 });
+  });
+
+  text(r.sections.margins, P, 800, { size: 28, weight: 700 });
+  const mw = (W - 2 * P) / r.margins.length;
+  r.margins.forEach((c, i) => {
+    text(c.label, P + i * mw, 840, { size: 22, color: '#6b7280', max: mw - 16 });
+    text(c.value, P + i * mw, 882, { size: 34, weight: 700, max: mw - 16 });
+  });
+
+  let y = 936;
+  if (r.range) { text(`${r.range.label}: ${r.range.value}`, P, y, { size: 26, max: W - 2 * P }); y += 40; }
+  if (r.ai) text(`${r.ai.label}: ${r.ai.value} (${r.ai.diff})`, P, y, { size: 26, max: W - 2 * P });
+
+  ctx.fillStyle = '#e5e7eb'; ctx.fillRect(P, 1010, W - 2 * P, 2);
+  text(`⚠️ ${r.disclaimer}`, P, 1052, { size: 22, color: '#92400e', max: W - 2 * P });
+  return new Promise((resolve, reject) => canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('canvas export failed'))), 'image/png'));
+}
+
+const escapeHTML = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+function reportHTML(r) {
+  const e = escapeHTML;
+  const cells = (list) => list.map((c) => `<div class="cell"><div class="label">${e(c.label)}</div><div class="value"><bdi>${e(c.value)}</bdi></div></div>`).join('');
+  const line = (item, extra = '') => (item ? `<p><strong>${e(item.label)}:</strong> <bdi>${e(item.value)}</bdi>${extra}</p>` : '');
+  return `<!doctype html><html lang="${e(r.lang)}" dir="${e(r.dir)}"><head><meta charset="utf-8"><title>${e(`${r.ticker} — ${r.title}`)}</title><style>
+@page { size: A4; margin: 16mm; }
+* { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+body { margin: 0; font-family: ${REPORT_FONT}; color: #111827; font-size: 12pt; }
+header { display: flex; justify-content: space-between; align-items: center; background: #111827; color: #fff; padding: 10pt 14pt; border-radius: 6pt; }
+header .brand { font-size: 18pt; font-weight: 700; } header .date { color: #d1d5db; }
+h1 { font-size: 22pt; margin: 16pt 0 2pt; } .sub { color: #6b7280; margin: 0 0 14pt; }
+h2 { font-size: 13pt; margin: 16pt 0 6pt; }
+.grid { display: grid; gap: 8pt; grid-template-columns: repeat(2, 1fr); } .grid.three { grid-template-columns: repeat(3, 1fr); }
+.cell { background: #f3f4f6; border-radius: 6pt; padding: 8pt 10pt; } .label { color: #6b7280; font-size: 10pt; } .value { font-size: 15pt; font-weight: 700; }
+.headline .value { font-size: 22pt; } .tone { color: ${REPORT_TONE[r.verdict] || '#111827'}; } .verdict { font-weight: 600; margin: 8pt 0 0; }
+.disclaimer { margin-top: 20pt; padding-top: 8pt; border-top: 1px solid #e5e7eb; color: #92400e; font-size: 10pt; }
+footer { margin-top: 6pt; color: #6b7280; font-size: 9pt; word-break: break-all; }
+</style></head><body>
+<header><span class="brand">${REPORT_BRAND}</span><span class="date">${e(r.date)}</span></header>
+<h1>${e(r.company)}</h1><p class="sub">${e(r.ticker)} • ${e(r.title)} • ${e(r.profile)}</p>
+<div class="grid headline">${cells([r.price])}<div class="cell"><div class="label">${e(r.weighted.label)}</div><div class="value tone"><bdi>${e(r.weighted.value)}</bdi></div></div></div>
+${r.verdictText ? `<p class="verdict tone">${e(r.verdictText)} (<bdi>${e(r.weighted.upside)}</bdi>)</p>` : ''}
+<h2>${e(r.sections.components)}</h2><div class="grid">${cells(r.components)}</div>
+<h2>${e(r.sections.margins)}</h2><div class="grid three">${cells(r.margins)}</div>
+${line(r.range)}${line(r.ai, r.ai ? ` (<bdi>${e(r.ai.diff)}</bdi>)` : '')}
+<p class="disclaimer">⚠️ ${e(r.disclaimer)}</p>
+<footer>${e(r.url)}</footer>
+</body></html>`;
+}
+/* Prints through a hidden iframe so the page itself is untouched; "Save as PDF" gives the file */
+function printReport(r) {
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position:fixed;inset-inline-end:0;bottom:0;width:0;height:0;border:0';
+  frame.srcdoc = reportHTML(r);
+  frame.onload = () => {
+    const win = frame.contentWindow;
+    win.onafterprint = () => frame.remove();
+    win.focus(); win.print();
+    setTimeout(() => frame.isConnected && frame.remove(), 60 * 1000);
+  };
+  document.body.appendChild(frame);
+}
+/* Web Share with the PNG attached where files are supported (mobile share sheets: WhatsApp, Telegram, …),
+   text + link where only that is, else a plain download. Resolves false when the user cancels. Call it
+   straight from the click handler with an already drawn blob: nothing may be awaited before share(). */
+async function shareReport(r, blob) {
+  const file = new File([blob], reportFileName(r, 'png'), { type: 'image/png' });
+  const title = `${r.company} (${r.ticker})`;
+  try {
+    if (navigator.canShare?.({ files: [file] })) await navigator.share({ files: [file], title, text: r.text });
+    else if (navigator.share) await navigator.share({ title, text: r.text, url: r.url });
+    else downloadBlob(file.name, blob);
+    return true;
+  } catch (e) {
+    if (e?.name === 'AbortError') return false;
+    throw e;
+  }
 }
 
 /* ======== AI cache utils ======== */
 const AI_TTL_MS = 24 * 60 * 60 * 1000;
-const round2 = (n) => Number.isFinite(n) ? Number(n.toFixed(2)) : 0;
-const aiInputsSig = (m) => `${round2(m.fairEV)}|${round2(m.fairPE)}|${round2(m.fairPS)}|${round2(m.bookValue)}|${round2(m.price)}`;
-const AI_CACHE_KEY = (symbolWithSuffix, sig) => `ai_fv_cache_v1_${__modelId || 'cloud_or_local'}_${symbolWithSuffix}_${sig}`;
+const aiInputsSig = (m, profile = DEFAULT_PROFILE) => `${round2(m.fairEV)}|${round2(m.fairPE)}|${round2(m.fairPS)}|${round2(m.bookValue)}|${round2(m.price)}|${profileSig(profile)}`;
+const AI_CACHE_PREFIX = 'ai_fv_cache_v1_';
+const AI_CACHE_KEY = (symbolWithSuffix, sig) => `${AI_CACHE_PREFIX}${__modelId || 'cloud_or_local'}_${symbolWithSuffix}_${sig}`;
 
-/* ========================== Components ========================== */
-function MarketToggle({ value, onChange }) {
-  const opts = [
-    { id: MARKET.SA, label: '🇸🇦 Saudi (TASI)' },
-    { id: MARKET.US, label: '🇺🇸 U.S. (S&P 500)' },
-  ];
-  return (
-    <div className="inline-flex items-center rounded-lg border bg-white shadow-sm overflow-hidden">
-      {opts.map((opt) => {
-        const active = value === opt.id;
-        return (
-          <button
-            key={opt.id}
-            onClick={() => onChange(opt.id)}
-            className={`px-3 py-1.5 text-sm font-medium ${active ? 'bg-gray-900 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
-          >
-            {opt.label}
-          </button>
-        );
-      })}
-    </div>
-  );
+/* ========================== FX + display currency ========================== */
+// Values stay in each market's currency everywhere in the data layer; views convert at render time
+// into the display currency picked in the header ('' = native). Rate lookup order: provider rate
+// (cached FX_TTL_MS, kept when stale), then a manual fallback rate from Settings, then a known peg.
+const DISPLAY_CCY_KEY = 'display_ccy';
+const FX_CACHE_KEY = 'fx_cache_v1';
+const FX_MANUAL_KEY = 'fx_manual_v1';
+const FX_TTL_MS = 60 * 60 * 1000;
+const FX_PEGS = { 'USD/SAR': 3.75, 'USD/AED': 3.6725 }; // central-bank pegs
+const loadFxManual = () => cacheRead(FX_MANUAL_KEY, {});
+const __fx = { inflight: new Map(), listeners: new Set() };
+const fxPair = (from, to) => `${from}/${to}`;
+const fxFromTable = (table, from, to) => {
+  const direct = table[fxPair(from, to)]; if (direct) return direct;
+  const inv = table[fxPair(to, from)];
+  if (inv == null) return null;
+  return typeof inv === 'number' ? 1 / inv : { ...inv, rate: 1 / inv.rate };
+};
+/* -> { rate, at, source: provider id | 'manual' | 'peg' } or null */
+function fxLookup(from, to) {
+  const hit = fxFromTable(cacheRead(FX_CACHE_KEY, {}), from, to);
+  if (hit?.rate > 0) return hit;
+  const manual = fxFromTable(loadFxManual(), from, to);
+  if (manual > 0) return { rate: manual, at: null, source: 'manual' };
+  const peg = fxFromTable(FX_PEGS, from, to);
+  return peg ? { rate: peg, at: null, source: 'peg' } : null;
+}
+function requestFx(from, to) {
+  const k = fxPair(from, to);
+  const cached = fxFromTable(cacheRead(FX_CACHE_KEY, {}), from, to);
+  const provider = getProvider();
+  if ((cached && cached.source === provider.id && Date.now() - cached.fetchedAt < FX_TTL_MS) || __fx.inflight.has(k) || isOffline()) return;
+  if (!provider.ready() || !provider.fxRate) return;
+  __fx.inflight.set(k, provider.fxRate(from, to).then((j) => {
+    const rate = toNum(j?.rate); if (!(rate > 0)) return;
+    const all = cacheRead(FX_CACHE_KEY, {}); delete all[fxPair(to, from)];
+    all[k] = { rate, at: toNum(j.timestamp) > 0 ? toNum(j.timestamp) * 1000 : Date.now(), fetchedAt: Date.now(), source: provider.id };
+    cacheWrite(FX_CACHE_KEY, all); __fx.listeners.forEach((fn) => fn());
+  }).catch(() => { /* fallback rates cover it */ }).finally(() => __fx.inflight.delete(k)));
 }
+const displayCurrencies = () => [...new Set(MARKETS.map((m) => m.currency))];
+const MONEY_FIELDS = ['price', 'fairEV', 'fairPE', 'fairPS', 'weighted', 'bookValue', 'eps'];
+const scaleMoney = (obj, fields, fx, ccy) => {
+  if (!obj || !fx) return obj;
+  const out = { ...obj, currency: ccy };
+  for (const f of fields) if (Number.isFinite(obj[f])) out[f] = obj[f] * fx.rate;
+  return out;
+};
 
-function Sidebar({ market, setMarket, q, setQ, T }) {
-  return (
-    <div className="space-y-4">
-      <Card title={T('السوق', 'Market')}>
-        <MarketToggle value={market} onChange={setMarket} />
-        <div className="mt-4">
-          <label className="text-xs text-gray-600">{T('بحث', 'Search')}</label>
-          <input
-            value={q}
-            onChange={(e) => setQ(e.target.value)}
-            placeholder={T('ابحث بالرمز أو الشركة…', 'Search by ticker or company…')}
-            className="mt-1 w-full border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-gray-300"
-          />
-        </div>
-      </Card>
-      <Card title={T('تلميحات', 'Tips')}>
-        <ul className="text-xs text-gray-600 space-y-1 list-disc pl-4">
-          <li>{T('الأسعار تُحدّث كل 10 دقائق.', 'Prices refresh every 10 minutes.')}</li>
-          <li>{T('المؤشرات تُخزَّن 30 دقيقة.', 'Metrics cached for 30 minutes.')}</li>
-          <li>{T('الذكاء الاصطناعي يعمل على جهازك.', 'AI runs fully on-device.')}</li>
-        </ul>
-      </Card>
-    </div>
-  );
+function useDisplayCurrency() {
+  const [ccy, setState] = useState(() => localStorage.getItem(DISPLAY_CCY_KEY) || '');
+  const [, setTick] = useState(0);
+  useEffect(() => {
+    const onStore = (e) => { if ([DISPLAY_CCY_KEY, FX_MANUAL_KEY].includes(e.detail?.key)) { setState(localStorage.getItem(DISPLAY_CCY_KEY) || ''); setTick((n) => n + 1); } };
+    const onFx = () => setTick((n) => n + 1);
+    window.addEventListener(STORE_EVENT, onStore); __fx.listeners.add(onFx);
+    return () => { window.removeEventListener(STORE_EVENT, onStore); __fx.listeners.delete(onFx); };
+  }, []);
+  useEffect(() => { if (ccy) displayCurrencies().filter((c) => c !== ccy).forEach((c) => requestFx(c, ccy)); }, [ccy]);
+  const setCcy = (c) => { prefWrite(DISPLAY_CCY_KEY, c); setState(c); announceStore(DISPLAY_CCY_KEY); };
+  /* null when no conversion applies (native display, same currency, or no rate yet) */
+  const fxFor = (from) => (!ccy || !from || ccy === from ? null : fxLookup(from, ccy));
+  const convert = (v, from) => { const fx = fxFor(from); return fx && Number.isFinite(v) ? { value: v * fx.rate, ccy } : { value: v, ccy: from }; };
+  return { ccy, setCcy, fxFor, convert };
 }
 
-function IndustryTable({ title, rows, currency, onOpen, T }) {
+function CurrencySelect({ T }) {
+  const { ccy, setCcy } = useDisplayCurrency();
   return (
-    <Card title={title} className="mb-4">
-      <div className="overflow-x-auto">
-        <table className="min-w-full text-sm">
-          <thead className="bg-gray-50 sticky top-0">
-            <tr>
-              <th className="text-left font-medium text-gray-600 py-2 px-2">Ticker</th>
-              <th className="text-left font-medium text-gray-600 py-2 px-2">Company</th>
-              <th className="text-right font-medium text-gray-600 py-2 px-2">Price</th>
-              <th className="text-right font-medium text-gray-600 py-2 px-2"></th>
-            </tr>
-          </thead>
-          <tbody>
-            {rows.map((s) => (
-              <tr key={s.ticker} className="border-t">
-                <td className="py-2 px-2 font-mono">{s.ticker}</td>
-                <td className="py-2 px-2">{s.companyName}</td>
-                <td className="py-2 px-2 text-right">{s.price == null ? <span className="text-gray-400">—</span> : `${s.price.toFixed(2)} ${currency}`}</td>
-                <td className="py-2 px-2 text-right">
-                  <Button variant="subtle" onClick={() => onOpen({ ticker: s.ticker, company: s.companyName })}>
-                    {T('فتح', 'Open')}
-                  </Button>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-    </Card>
+    <select value={ccy} onChange={(e) => setCcy(e.target.value)} title={T('fx.displayCurrency')} className="px-2 py-2 rounded-lg text-sm font-medium border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">
+      <option value="">{T('fx.native')}</option>
+      {displayCurrencies().map((c) => <option key={c} value={c}>{c}</option>)}
+    </select>
   );
 }
 
-function MarketBrowser({ onOpen, T, langApi, onLogoClick }) {
-  const [market, setMarket] = useState(() => localStorage.getItem('mkt') || MARKET.SA);
-  useEffect(() => { localStorage.setItem('mkt', market); }, [market]);
-  const { grouped, loading, error, currency } = useMarketData(market);
-  const [q, setQ] = useState('');
-  const filtered = useMemo(() => {
-    if (!q.trim()) return grouped; const query = q.toLowerCase(); const out = {};
-    for (const [industry, list] of Object.entries(grouped)) {
-      const lf = list.filter((s) => s.ticker.toLowerCase().includes(query) || s.companyName.toLowerCase().includes(query));
-      if (lf.length) out[industry] = lf;
-    }
-    return out;
-  }, [grouped, q]);
-
-  const headerActions = (
-    <>
-      <Button variant="ghost" onClick={() => langApi.setLang(langApi.lang === 'ar' ? 'en' : 'ar')}>
-        {langApi.lang === 'ar' ? 'EN' : 'AR'}
-      </Button>
-      <Button as="a" href="https://x.com/dr_sam_78" target="_blank" rel="noopener noreferrer" variant="ghost">
-        Contact us
-      </Button>
-    </>
-  );
-
+/* "1 USD = 3.7500 SAR · TwelveData, 19 Oct 2026 14:05" */
+function FxNote({ from, to, fx, T, lang }) {
+  if (!fx) return null;
+  const src = fx.source === 'peg' ? T('fx.officialPeg') : fx.source === 'manual' ? T('fx.manualRate') : DATA_PROVIDERS[fx.source]?.label || fx.source;
+  const at = fx.at ? formatDate(fx.at, lang, { dateStyle: 'medium', timeStyle: 'short' }) : '';
   return (
-    <ShellLayout
-      lang={langApi.lang}
-      onLogoClick={onLogoClick}
-      headerActions={headerActions}
-      sidebar={<Sidebar market={market} setMarket={setMarket} q={q} setQ={setQ} T={T} />}
-    >
-      <div className="space-y-4">
-        <Card
-          title={market === MARKET.SA ? '🇸🇦 Saudi Stocks (TASI)' : '🇺🇸 U.S. Stocks (S&P 500)'}
-          subtitle={T('تصفّح حسب الصناعة وافتح السهم للتفاصيل.', 'Browse by industry and open a stock for details.')}
-        >
-          {error && <div className="text-sm text-red-600">{error} — put JSON under <code>public/data</code>.</div>}
-          {loading && <div className="text-sm text-gray-500">Loading…</div>}
-          {!loading && !error && Object.keys(filtered).length === 0 && <div className="text-sm text-gray-500">No results.</div>}
-        </Card>
-
-        {!loading && !error && Object.entries(filtered).map(([industry, list]) => (
-          <IndustryTable
-            key={industry}
-            title={industry}
-            rows={list}
-            currency={currency}
-            onOpen={({ ticker, company }) => onOpen({ ticker, company, market })}
-            T={T}
-          />
-        ))}
-      </div>
-    </ShellLayout>
+    <span className="text-xs text-gray-500">
+      <bdi>1 {from} = {formatNumber(fx.rate, lang, 4)} {to}</bdi> · {src}{at && `, ${at}`}
+    </span>
   );
 }
 
-function MarketStock({ params, onBack, langApi, onLogoClick }) {
-  const { ticker, company, market } = params;
-  const currency = MARKET_CCY[market];
-  const { T, lang } = langApi;
+/* ========================== Price history + fair value over time ========================== */
+const CHART_RANGES = {
+  '1M': { interval: '1day', outputsize: 22 },
+  '6M': { interval: '1day', outputsize: 126 },
+  '1Y': { interval: '1day', outputsize: 252 },
+  '5Y': { interval: '1week', outputsize: 260 },
+};
+const HISTORY_TTL_MS = 10 * 60 * 1000; // same as the list price cache
+const CHART_W = 640, CHART_H = 220, CHART_PAD = { l: 48, r: 12, t: 10, b: 24 }; // viewBox units
+const __history = new Map();
+/* Closes for a range, oldest first: [{ t: ms, close }] */
+async function getPriceHistory(symbol, range) {
+  const provider = getProvider(); const key = `${provider.id}:${symbol}:${range}`; const hit = __history.get(key);
+  if (hit && Date.now() - hit.at < HISTORY_TTL_MS) return hit.points;
+  if (!provider.ready() || !provider.timeSeries) return [];
+  const j = await provider.timeSeries(symbol, CHART_RANGES[range]);
+  const points = (Array.isArray(j?.values) ? j.values : [])
+    .map((v) => ({ t: Date.parse(v.datetime), close: asNum(v.close) }))
+    .filter((p) => Number.isFinite(p.t) && p.close > 0)
+    .sort((a, b) => a.t - b.t);
+  __history.set(key, { at: Date.now(), points });
+  return points;
+}
+/* Weighted fair value per fiscal period: each period's statements priced with today's
+   multiples (TwelveData has no point-in-time EV/PE/PS), oldest first: [{ t, fv }] */
+function historicalFairValues(st, profile) {
+  const stats = st?.statistics || {};
+  const shares = asNum(stats?.stock_statistics?.shares_outstanding);
+  if (!(shares > 0)) return [];
+  const ev = asNum(stats?.valuations_metrics?.enterprise_value);
+  const pe = asNum(stats?.valuations_metrics?.forward_pe);
+  const ps = asNum(stats?.valuations_metrics?.price_to_sales_ttm);
+  const incomeByDate = new Map((st.income_statement || []).map((r) => [r.fiscal_date, r]));
+  const out = [];
+  for (const bs of st.balance_sheet || []) {
+    const is = incomeByDate.get(bs.fiscal_date); const t = Date.parse(bs.fiscal_date);
+    if (!is || !Number.isFinite(t)) continue;
+    const comps = {
+      fairEV: (ev - asNum(bs?.liabilities?.non_current_liabilities?.long_term_debt) + asNum(bs?.assets?.current_assets?.cash)) / shares,
+      fairPE: (pe * asNum(is?.net_income)) / shares,
+      fairPS: (ps * asNum(is?.sales)) / shares,
+      bookValue: asNum(bs?.shareholders_equity?.total_shareholders_equity) / shares,
+    };
+    out.push({ t, fv: weightedFairValue(comps, profile.weights) });
+  }
+  return out.sort((a, b) => a.t - b.t);
+}
+/* FV in effect on day t: the latest period reported on or before t */
+function fvAt(t, periods) {
+  let v = null;
+  for (const p of periods) { if (p.t <= t) v = p.fv; else break; }
+  return v;
+}
 
-  const [m, setM] = useState(null);
-  const [loading, setLoading] = useState(true);
+function PriceHistoryChart({ symbol, m, profile, T, lang }) {
+  const [range, setRange] = useState('1Y');
+  const [points, setPoints] = useState([]);
+  const [periods, setPeriods] = useState([]);
+  const [busy, setBusy] = useState(true);
   const [err, setErr] = useState('');
-
-  const [aiBusy, setAiBusy] = useState(false);
-  const [aiFV, setAiFV] = useState(null);
-  const [aiCached, setAiCached] = useState(false);
-  const [aiError, setAiError] = useState('');
-  const [longWait, setLongWait] = useState(false);
-  const hasWebGPU = typeof navigator !== 'undefined' && 'gpu' in navigator;
+  const [hover, setHover] = useState(null);
 
   useEffect(() => {
-    (async () => {
-      try {
-        const symbolWithSuffix = `${ticker}${MARKET_SUFFIX[market]}`;
-        setM(await getValuationMetricsCached(symbolWithSuffix, currency));
-      } catch (e) {
-        setErr(e?.message || 'Failed');
-      } finally {
+    let stop = false;
+    setBusy(true); setErr('');
+    getPriceHistory(symbol, range)
+      .then((pts) => { if (!stop) setPoints(pts); })
+      .catch((e) => { if (!stop) { setPoints([]); setErr(e || new Error('Failed')); } })
+      .finally(() => { if (!stop) setBusy(false); });
+    return () => { stop = true; };
+  }, [symbol, range]);
+  useEffect(() => {
+    let stop = false;
+    getStatements(symbol).then((st) => { if (!stop) setPeriods(historicalFairValues(st, profile)); }).catch(() => { if (!stop) setPeriods([]); });
+    return () => { stop = true; };
+  }, [symbol, profile]);
+
+  // Latest statements define today's weighted value; earlier ones apply from their fiscal date.
+  const series = useMemo(() => {
+    if (!points.length) return [];
+    const hist = periods.slice(0, -1); const lastPeriodT = periods.length ? periods[periods.length - 1].t : -Infinity;
+    return points.map((p) => ({ ...p, fv: p.t >= lastPeriodT ? m.weighted : fvAt(p.t, hist) }));
+  }, [points, periods, m.weighted]);
+
+  const stats = useMemo(() => {
+    const withFv = series.filter((p) => p.fv > 0);
+    if (!withFv.length) return null;
+    const below = withFv.filter((p) => p.close < p.fv).length;
+    return { pctBelow: (below / withFv.length) * 100, n: withFv.length };
+  }, [series]);
+
+  const geom = useMemo(() => {
+    if (series.length < 2) return null;
+    const t0 = series[0].t, t1 = series[series.length - 1].t;
+    const vals = series.flatMap((p) => (p.fv > 0 ? [p.close, p.fv] : [p.close]));
+    let lo = Math.min(...vals), hi = Math.max(...vals); const pad = (hi - lo) * 0.08 || hi * 0.05 || 1; lo -= pad; hi += pad;
+    const x = (t) => CHART_PAD.l + ((t - t0) / (t1 - t0 || 1)) * (CHART_W - CHART_PAD.l - CHART_PAD.r);
+    const y = (v) => CHART_PAD.t + (1 - (v - lo) / (hi - lo)) * (CHART_H - CHART_PAD.t - CHART_PAD.b);
+    const pricePath = series.map((p, i) => `${i ? 'L' : 'M'}${x(p.t).toFixed(1)},${y(p.close).toFixed(1)}`).join('');
+    let fvPath = ''; let prev = null;
+    for (const p of series) {
+      if (!(p.fv > 0)) { prev = null; continue; }
+      fvPath += prev == null ? `M${x(p.t).toFixed(1)},${y(p.fv).toFixed(1)}` : `H${x(p.t).toFixed(1)}V${y(p.fv).toFixed(1)}`;
+      prev = p.fv;
+    }
+    const ticks = [lo + (hi - lo) * 0.1, (lo + hi) / 2, hi - (hi - lo) * 0.1];
+    return { x, y, pricePath, fvPath, ticks, t0, t1 };
+  }, [series]);
+
+  const dateFmt = (t) => formatDate(t, lang, range === '1Y' || range === '5Y' ? { year: 'numeric', month: 'short' } : { month: 'short', day: 'numeric' });
+  const onMove = (e) => {
+    if (!geom) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) / rect.width) * CHART_W;
+    let best = null, bd = Infinity;
+    for (const p of series) { const d = Math.abs(geom.x(p.t) - px); if (d < bd) { bd = d; best = p; } }
+    setHover(best);
+  };
+
+  return (
+    <Card
+      title={T('history.title')}
+      subtitle={T('history.pastFvNote')}
+      actions={
+        <div className="inline-flex rounded-lg border overflow-hidden" dir="ltr">
+          {Object.keys(CHART_RANGES).map((r) => (
+            <button key={r} onClick={() => setRange(r)} className={`px-2.5 py-1 text-xs font-medium ${range === r ? 'bg-gray-900 text-white' : 'text-gray-700 hover:bg-gray-50'}`}>{r}</button>
+          ))}
+        </div>
+      }
+    >
+      {busy && <div className="text-sm text-gray-500">{T('common.loading')}</div>}
+      {!busy && err && <div className="text-sm text-red-600">{errorText(err, T)}</div>}
+      {!busy && !err && !geom && <div className="text-sm text-gray-500">{T('history.noData')}</div>}
+      {!busy && geom && (
+        <>
+          {/* Time runs left-to-right in both layouts, as on exchange charts */}
+          <div dir="ltr" className="relative">
+            <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="w-full h-auto select-none" onMouseMove={onMove} onMouseLeave={() => setHover(null)} role="img" aria-label={T('history.priceChart')}>
+              {geom.ticks.map((v) => (
+                <g key={v}>
+                  <line x1={CHART_PAD.l} x2={CHART_W - CHART_PAD.r} y1={geom.y(v)} y2={geom.y(v)} stroke="#f3f4f6" />
+                  <text x={CHART_PAD.l - 6} y={geom.y(v) + 3} textAnchor="end" fontSize="10" fill="#9ca3af">{formatNumber(v, lang, v < 10 ? 2 : 0)}</text>
+                </g>
+              ))}
+              <text x={CHART_PAD.l} y={CHART_H - 6} fontSize="10" fill="#9ca3af">{dateFmt(geom.t0)}</text>
+              <text x={CHART_W - CHART_PAD.r} y={CHART_H - 6} fontSize="10" fill="#9ca3af" textAnchor="end">{dateFmt(geom.t1)}</text>
+              {geom.fvPath && <path d={geom.fvPath} fill="none" stroke="#2563eb" strokeWidth="1.5" strokeDasharray="5 4" />}
+              <path d={geom.pricePath} fill="none" stroke="#111827" strokeWidth="1.5" />
+              {hover && (
+                <g>
+                  <line x1={geom.x(hover.t)} x2={geom.x(hover.t)} y1={CHART_PAD.t} y2={CHART_H - CHART_PAD.b} stroke="#d1d5db" />
+                  <circle cx={geom.x(hover.t)} cy={geom.y(hover.close)} r="3" fill="#111827" />
+                  {hover.fv > 0 && <circle cx={geom.x(hover.t)} cy={geom.y(hover.fv)} r="3" fill="#2563eb" />}
+                </g>
+              )}
+            </svg>
+          </div>
+          <div className="mt-2 flex flex-wrap items-center gap-4 text-xs text-gray-600">
+            <span className="inline-flex items-center gap-1"><span className="inline-block w-4 h-0.5 bg-gray-900" />{T('history.price')}</span>
+            <span className="inline-flex items-center gap-1"><span className="inline-block w-4 border-t-2 border-dashed border-blue-600" />{T('history.weightedFairValue')}</span>
+            {hover && (
+              <span className="text-gray-800">
+                <bdi>{dateFmt(hover.t)}</bdi> — {T('history.price')} <bdi>{formatNumber(hover.close, lang, 2)}</bdi>
+                {hover.fv > 0 && <> • {T('history.fv')} <bdi>{formatNumber(hover.fv, lang, 2)}</bdi></>}
+              </span>
+            )}
+          </div>
+          {stats && (
+            <div className="mt-2 text-sm">
+              {T('history.tradedBelow')} <strong><Pct n={stats.pctBelow} lang={lang} /></strong> {T('history.ofSessions')}
+            </div>
+          )}
+        </>
+      )}
+    </Card>
+  );
+}
+
+/* ========================== Financial statements ========================== */
+const __financials = new Map();
+/* Income statement, balance sheet and cash flow for one period type, newest first.
+   Annual income/balance reuse the statements already fetched for the metrics. */
+async function getFinancials(symbol, period) {
+  const provider = getProvider(); const key = `${provider.id}:${symbol}:${period}`; const hit = __financials.get(key);
+  if (hit && Date.now() - hit.at < STATEMENTS_TTL_MS) return hit;
+  if (!provider.ready()) return { income: [], balance: [], cashflow: [] };
+  const soft = (p) => p.catch((e) => { if (e?.quota) throw e; return {}; });
+  const cached = period === 'annual' ? __statements.get(`${provider.id}:${symbol}`) : null;
+  const [isJson, bsJson, cfJson] = await Promise.all([
+    cached ? { income_statement: cached.income_statement } : soft(provider.incomeStatement(symbol, { period })),
+    cached ? { balance_sheet: cached.balance_sheet } : soft(provider.balanceSheet(symbol, { period })),
+    provider.cashFlow ? soft(provider.cashFlow(symbol, { period })) : {},
+  ]);
+  const arr = (x) => (Array.isArray(x) ? x : []);
+  const out = { at: Date.now(), income: arr(isJson?.income_statement), balance: arr(bsJson?.balance_sheet), cashflow: arr(cfJson?.cash_flow) };
+  __financials.set(key, out);
+  return out;
+}
+
+const getPath = (obj, path) => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+const FIN_STATEMENTS = {
+  income: {
+    label: 'fin.income',
+    rows: [
+      { path: 'sales', label: 'fin.revenue' },
+      { path: 'cost_of_goods', label: 'fin.costOfGoods' },
+      { path: 'gross_profit', label: 'fin.grossProfit' },
+      { path: 'operating_income', label: 'fin.operatingIncome' },
+      { path: 'net_income', label: 'fin.netIncome' },
+      { path: 'eps_diluted', label: 'fin.dilutedEps', perShare: true },
+    ],
+  },
+  balance: {
+    label: 'fin.balance',
+    rows: [
+      { path: 'assets.current_assets.cash', label: 'fin.cash' },
+      { path: 'assets.total_assets', label: 'fin.totalAssets' },
+      { path: 'liabilities.non_current_liabilities.long_term_debt', label: 'fin.longTermDebt' },
+      { path: 'liabilities.total_liabilities', label: 'fin.totalLiabilities' },
+      { path: 'shareholders_equity.total_shareholders_equity', label: 'fin.equity' },
+    ],
+  },
+  cashflow: {
+    label: 'fin.cashflow',
+    rows: [
+      { path: 'operating_activities.operating_cash_flow', label: 'fin.operatingCashFlow' },
+      { path: 'investing_activities.capital_expenditures', label: 'fin.capex' },
+      { path: 'free_cash_flow', label: 'fin.freeCashFlow' },
+      { path: 'financing_activities.common_dividends', label: 'fin.dividends' },
+      { path: 'financing_activities.common_stock_repurchase', label: 'fin.buybacks' },
+    ],
+  },
+};
+/* Same static bands as the Financial Indicators card, used until there is enough history for a trend band */
+const MARGIN_ROWS = [
+  { id: 'gross', label: 'fin.margin.gross', num: 'gross_profit', band: [20, 40] },
+  { id: 'op', label: 'fin.margin.op', num: 'operating_income', band: [10, 20] },
+  { id: 'net', label: 'fin.margin.net', num: 'net_income', band: [5, 15] },
+];
+/* Trend band: half a standard deviation around the stock's own average margin */
+function marginBand(values, fallback) {
+  const v = values.filter(Number.isFinite);
+  if (v.length < 3) return fallback;
+  const mean = v.reduce((a, b) => a + b, 0) / v.length;
+  const sd = Math.sqrt(v.reduce((a, b) => a + (b - mean) ** 2, 0) / v.length);
+  return [mean - sd / 2, mean + sd / 2];
+}
+/* YoY compares with the same period a year earlier: the next column for annual, four back for quarterly */
+const yoy = (cur, prev) => (Number.isFinite(cur) && Number.isFinite(prev) && prev !== 0 ? ((cur - prev) / Math.abs(prev)) * 100 : null);
+const compact = (n, lang) => (Number.isFinite(n) ? numberFormat(lang, { notation: 'compact', maximumFractionDigits: 2 }).format(n) : '—');
+
+function FinancialsPanel({ symbol, ticker, currency, T, lang }) {
+  const [period, setPeriod] = useState('annual');
+  const [stmt, setStmt] = useState('income');
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(true);
+  const [err, setErr] = useState('');
+
+  useEffect(() => {
+    let stop = false;
+    setBusy(true); setErr('');
+    getFinancials(symbol, period)
+      .then((d) => { if (!stop) setData(d); })
+      .catch((e) => { if (!stop) { setData(null); setErr(e || new Error('Failed')); } })
+      .finally(() => { if (!stop) setBusy(false); });
+    return () => { stop = true; };
+  }, [symbol, period]);
+
+  const def = FIN_STATEMENTS[stmt];
+  const records = useMemo(() => [...(data?.[stmt] || [])].sort((a, b) => String(b.fiscal_date).localeCompare(String(a.fiscal_date))), [data, stmt]);
+  const lag = period === 'quarterly' ? 4 : 1;
+  const table = useMemo(() => def.rows.map((row) => {
+    const values = records.map((r) => { const v = getPath(r, row.path); return v == null ? null : asNum(v); });
+    return { ...row, values, growth: values.map((v, i) => yoy(v, values[i + lag])) };
+  }), [def, records, lag]);
+  const margins = useMemo(() => {
+    if (stmt !== 'income') return [];
+    return MARGIN_ROWS.map((row) => {
+      const values = records.map((r) => { const s = asNum(r.sales); return s ? (asNum(r[row.num]) / s) * 100 : null; });
+      return { ...row, values, band: marginBand(values, row.band) };
+    });
+  }, [stmt, records]);
+
+  function onCSV() {
+    const head = [T('financials.item'), ...records.map((r) => r.fiscal_date)];
+    const rows = [head];
+    for (const r of table) {
+      rows.push([T(r.label), ...r.values.map((v) => (v == null ? '' : v))]);
+      rows.push([`${T(r.label)} YoY %`, ...r.growth.map((g) => (g == null ? '' : g.toFixed(2)))]);
+    }
+    for (const r of margins) rows.push([`${T(r.label)} %`, ...r.values.map((v) => (v == null ? '' : v.toFixed(2)))]);
+    downloadCSV(`${ticker}_${stmt}_${period}.csv`, rows);
+  }
+
+  const tabCls = (on) => `px-2.5 py-1 text-xs font-medium ${on ? 'bg-gray-900 text-white' : 'text-gray-700 hover:bg-gray-50'}`;
+  return (
+    <Card
+      title={T('common.financials')}
+      subtitle={`${T('financials.amountsIn')} ${ccyName(currency, lang)}`}
+      actions={<Button variant="ghost" onClick={onCSV} disabled={!records.length}>{T('financials.downloadCsv')}</Button>}
+    >
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <div className="inline-flex rounded-lg border overflow-hidden">
+          {Object.entries(FIN_STATEMENTS).map(([id, d]) => <button key={id} onClick={() => setStmt(id)} className={tabCls(stmt === id)}>{T(d.label)}</button>)}
+        </div>
+        <div className="inline-flex rounded-lg border overflow-hidden">
+          <button onClick={() => setPeriod('annual')} className={tabCls(period === 'annual')}>{T('financials.annual')}</button>
+          <button onClick={() => setPeriod('quarterly')} className={tabCls(period === 'quarterly')}>{T('financials.quarterly')}</button>
+        </div>
+      </div>
+      {busy && <div className="text-sm text-gray-500">{T('common.loading')}</div>}
+      {!busy && err && <div className="text-sm text-red-600">{errorText(err, T)}</div>}
+      {!busy && !err && !records.length && <div className="text-sm text-gray-500">{T('financials.noData')}</div>}
+      {!busy && !err && records.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="text-start font-medium text-gray-600 py-2 px-2"></th>
+                {records.map((r) => <th key={r.fiscal_date} className="text-end font-medium text-gray-600 py-2 px-2 whitespace-nowrap"><bdi>{r.fiscal_date}</bdi></th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {table.map((r) => (
+                <tr key={r.path} className="border-t align-top">
+                  <td className="py-2 px-2 text-gray-700 whitespace-nowrap">{T(r.label)}</td>
+                  {r.values.map((v, i) => (
+                    <td key={i} className="py-2 px-2 text-end whitespace-nowrap">
+                      <div><bdi>{r.perShare ? formatNumber(v, lang, 2) : compact(v, lang)}</bdi></div>
+                      {r.growth[i] != null && (
+                        <div className={`text-xs ${r.growth[i] >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                          {r.growth[i] >= 0 ? '▲' : '▼'} <Pct n={Math.abs(r.growth[i])} lang={lang} />
+                        </div>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              {margins.map((r) => (
+                <tr key={r.id} className="border-t bg-gray-50/50">
+                  <td className="py-2 px-2 text-gray-700 whitespace-nowrap">
+                    {T(r.label)}
+                    <div className="text-[11px] text-gray-400">{T('financials.band')} <Pct n={r.band[0]} lang={lang} />–<Pct n={r.band[1]} lang={lang} /></div>
+                  </td>
+                  {r.values.map((v, i) => (
+                    <td key={i} className={`py-2 px-2 text-end ${Number.isFinite(v) ? bandColor(v, r.band[0], r.band[1]) : 'text-gray-400'}`}>
+                      {Number.isFinite(v) ? <Pct n={v} lang={lang} /> : '—'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-2 text-xs text-gray-500">
+            {period === 'quarterly' ? T('financials.growthVsQuarter') : T('financials.growthVsYear')}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/* ========================== AI analysis ========================== */
+/* The analyst gets the metrics, margins and the last few annual statements and must answer with
+   AI_ANALYSIS_SCHEMA. Replies that fail validation count as a failed run (nothing is cached). The
+   text is written in the UI language, so the language is part of the cache signature. */
+const AI_ANALYSIS_VERSION = 'a1';
+const AI_STATEMENT_YEARS = 3;
+const AI_CONFIDENCE = ['low', 'medium', 'high'];
+const AI_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['fv', 'rationale', 'strengths', 'risks', 'confidence'],
+  properties: {
+    fv: { type: 'number', exclusiveMinimum: 0 },
+    rationale: { type: 'string', minLength: 1 },
+    strengths: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 5 },
+    risks: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 5 },
+    confidence: { type: 'string', enum: AI_CONFIDENCE },
+  },
+};
+const aiAnalysisKey = (symbolWithSuffix, m, profile, lang) => AI_CACHE_KEY(symbolWithSuffix, `${aiInputsSig(m, profile)}|${AI_ANALYSIS_VERSION}|${lang}`);
+
+/* Minimal JSON-schema check (the subset used above) -> list of error paths, empty when valid */
+function schemaErrors(value, schema, path = '$') {
+  const errs = [];
+  const typeOk = {
+    object: (v) => v != null && typeof v === 'object' && !Array.isArray(v),
+    array: Array.isArray,
+    string: (v) => typeof v === 'string',
+    number: (v) => typeof v === 'number' && Number.isFinite(v),
+  }[schema.type];
+  if (typeOk && !typeOk(value)) return [`${path}: expected ${schema.type}`];
+  if (schema.enum && !schema.enum.includes(value)) errs.push(`${path}: not one of ${schema.enum.join('|')}`);
+  if (schema.minLength != null && String(value).trim().length < schema.minLength) errs.push(`${path}: too short`);
+  if (schema.exclusiveMinimum != null && !(value > schema.exclusiveMinimum)) errs.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+  if (schema.type === 'array') {
+    if (schema.maxItems != null && value.length > schema.maxItems) errs.push(`${path}: more than ${schema.maxItems} items`);
+    value.forEach((v, i) => errs.push(...schemaErrors(v, schema.items, `${path}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    for (const k of schema.required || []) if (!(k in value)) errs.push(`${path}.${k}: required`);
+    for (const [k, s] of Object.entries(schema.properties || {})) if (k in value) errs.push(...schemaErrors(value[k], s, `${path}.${k}`));
+  }
+  return errs;
+}
+/* Light normalisation for small models (numeric strings, casing, overlong lists), then strict validation */
+function parseAnalysis(j) {
+  if (!j || typeof j !== 'object') return null;
+  const list = (x) => (Array.isArray(x) ? x.map((s) => String(s).trim()).filter(Boolean).slice(0, 5) : x);
+  const a = {
+    fv: typeof j.fv === 'string' ? Number(j.fv.replace(/[^\d.-]/g, '')) : j.fv,
+    rationale: typeof j.rationale === 'string' ? j.rationale.trim() : j.rationale,
+    strengths: list(j.strengths),
+    risks: list(j.risks),
+    confidence: typeof j.confidence === 'string' ? j.confidence.trim().toLowerCase() : j.confidence,
+  };
+  return schemaErrors(a, AI_ANALYSIS_SCHEMA).length ? null : { ...a, fv: round2(a.fv) };
+}
+
+const sortedRecords = (records) => [...(records || [])].sort((a, b) => String(b.fiscal_date).localeCompare(String(a.fiscal_date)));
+/* Plain-text fact sheet for the prompt, in English whatever the UI language */
+function analysisFacts(m, profile, fin) {
+  const f = (n) => (Number.isFinite(n) ? round2(n) : 'n/a');
+  const lines = [
+    `Currency: ${m.currency}`,
+    `Price: ${f(m.price)}; diluted EPS (TTM): ${f(m.eps)}; trailing P/E: ${f(m.trailingPE)}; forward P/E: ${f(m.forwardPE)}`,
+    `App fair values per share: EV-based ${f(m.fairEV)}, earnings-based ${f(m.fairPE)}, sales-based ${f(m.fairPS)}, book value ${f(m.bookValue)}`,
+    `App weighted fair value: ${f(m.weighted)} (= ${formulaText(profile)})`,
+    `Margins %: gross ${f(m.grossMargin)}, operating ${f(m.opMargin)}, net ${f(m.netMargin)}`,
+    `Quarterly growth YoY %: revenue ${f(m.revenueGrowth * 100)}, earnings ${f(m.earningsGrowth * 100)}`,
+  ];
+  if (m.missing?.length) lines.push(`Not available: ${m.missing.join(', ')}`);
+  for (const [id, def] of Object.entries(FIN_STATEMENTS)) {
+    const recs = sortedRecords(fin?.[id]).slice(0, AI_STATEMENT_YEARS);
+    if (!recs.length) continue;
+    lines.push(`${translate('en', def.label)} (${recs.map((r) => r.fiscal_date).join(' | ')}):`);
+    for (const row of def.rows) {
+      const vals = recs.map((r) => { const v = getPath(r, row.path); return v == null ? 'n/a' : row.perShare ? f(asNum(v)) : compact(asNum(v), 'en'); });
+      if (vals.some((v) => v !== 'n/a')) lines.push(`  ${translate('en', row.label)}: ${vals.join(' | ')}`);
+    }
+  }
+  return lines.join('\n');
+}
+function analysisMessages({ m, profile, fin, lang, company, ticker }) {
+  const sys = [
+    'You are a careful equity analyst. Ground every statement in the facts you are given; do not invent numbers.',
+    'Output strict JSON only, no text outside it, with keys:',
+    '{"fv": number (fair value per share in the given currency), "rationale": string (2-4 sentences),',
+    ' "strengths": string[] (up to 5), "risks": string[] (up to 5), "confidence": "low" | "medium" | "high"}.',
+    `Write rationale, strengths and risks in ${localeOf(lang).name}.`,
+  ].join('\n');
+  const user = `${company || ticker} (${ticker})\n${analysisFacts(m, profile, fin)}`;
+  return [{ role: 'system', content: sys }, { role: 'user', content: user }];
+}
+
+/* Which backend answers, per the Settings choice: 'webgpu' | 'cloud' | null (local calculation only) */
+const hasWebGPU = () => typeof navigator !== 'undefined' && 'gpu' in navigator;
+const aiEndpoint = () => {
+  const s = loadAiSettings();
+  return { base: (s.baseUrl || OPENAI_BASE).replace(/\/+$/, ''), key: s.apiKey || OPENAI_KEY, model: s.apiModel || OPENAI_MODEL };
+};
+function aiBackend() {
+  const { backend } = loadAiSettings();
+  if (backend === 'local') return null;
+  if (backend === 'webllm') return hasWebGPU() ? 'webgpu' : null;
+  if (backend === 'openai') return 'cloud';
+  return hasWebGPU() ? 'webgpu' : aiEndpoint().key ? 'cloud' : null;
+}
+/* OpenAI-compatible chat call; the Authorization header is omitted for keyless local servers */
+function cloudChat(body, signal) {
+  const { base, key, model } = aiEndpoint();
+  return fetch(`${base}/chat/completions`, {
+    method: 'POST', signal,
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'Authorization': `Bearer ${key}` } : {}) },
+    body: JSON.stringify({ model, ...body }),
+  });
+}
+async function aiComplete(messages, { maxTokens = 700, json = false } = {}) {
+  const backend = aiBackend();
+  const format = json ? { response_format: { type: 'json_object' } } : {};
+  if (backend === 'webgpu') {
+    const eng = await getEngine();
+    const resp = await eng.chat.completions.create({ messages, temperature: 0.2, max_tokens: maxTokens, ...format });
+    return readLLMContent(resp);
+  }
+  if (backend === 'cloud') {
+    const r = await cloudChat({ messages, temperature: 0.2, max_tokens: maxTokens, ...format });
+    if (!r.ok) throw new Error('api_error');
+    return readLLMContent(await r.json());
+  }
+  throw new Error('no_backend');
+}
+
+/* Streams the reply token by token into onToken. Aborting `signal` interrupts WebLLM generation or
+   cancels the HTTP request; either way the promise settles and the caller checks signal.aborted. */
+async function aiStream(messages, { onToken, signal, maxTokens = 700 } = {}) {
+  const backend = aiBackend();
+  if (backend === 'webgpu') {
+    const eng = await getEngine();
+    if (signal?.aborted) return;
+    const onAbort = () => eng.interruptGenerate();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      const chunks = await eng.chat.completions.create({ messages, temperature: 0.4, max_tokens: maxTokens, stream: true });
+      for await (const c of chunks) { const t = c?.choices?.[0]?.delta?.content; if (t) onToken(t); }
+    } finally { signal?.removeEventListener('abort', onAbort); }
+    return;
+  }
+  if (backend === 'cloud') {
+    const r = await cloudChat({ messages, temperature: 0.4, max_tokens: maxTokens, stream: true }, signal);
+    if (!r.ok || !r.body) throw new Error('api_error');
+    const reader = r.body.getReader(); const dec = new TextDecoder(); let buf = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buf += dec.decode(value, { stream: true });
+      const lines = buf.split('\n'); buf = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+        try { const t = JSON.parse(data)?.choices?.[0]?.delta?.content; if (t) onToken(t); } catch { /* keep-alive or partial frame */ }
+      }
+    }
+  }
+  throw new Error('no_backend');
+}
+
+/* Deterministic stand-in when no backend is available: the app's own weighted value, with
+   strengths and risks read off the same margin bands and statement trends the UI shows. */
+function localAnalysis(m, profile, fin, lang) {
+  const T = (key, params) => translate(lang, key, params);
+  const p = (n) => formatPct(n, lang);
+  const strengths = [], risks = [];
+  for (const row of MARGIN_ROWS) {
+    const v = m[`${row.id}Margin`], [lo, hi] = row.band;
+    if (!v) continue;
+    if (v >= hi) strengths.push(T('analysis.marginHigh', { metric: T(row.label), value: p(v) }));
+    else if (v < lo) risks.push(T('analysis.marginThin', { metric: T(row.label), value: p(v) }));
+  }
+  const [inc0, inc1] = sortedRecords(fin?.income);
+  const revYoY = yoy(asNum(inc0?.sales), asNum(inc1?.sales));
+  if (revYoY != null) (revYoY >= 0 ? strengths : risks).push(T('analysis.revenueGrowth', { pct: p(revYoY) }));
+  const fcf = asNum(getPath(sortedRecords(fin?.cashflow)[0] || {}, 'free_cash_flow'));
+  if (fcf) (fcf > 0 ? strengths : risks).push(T(fcf > 0 ? 'analysis.fcfPositive' : 'analysis.fcfNegative'));
+  const bs = sortedRecords(fin?.balance)[0];
+  const lev = asNum(getPath(bs || {}, 'liabilities.total_liabilities')) / asNum(getPath(bs || {}, 'shareholders_equity.total_shareholders_equity'));
+  if (Number.isFinite(lev) && lev > 0) {
+    if (lev > 2) risks.push(T('analysis.highLeverage', { ratio: round2(lev) }));
+    else if (lev < 1) strengths.push(T('analysis.lowLeverage'));
+  }
+  if (!(m.eps > 0)) risks.push(T('analysis.noEps'));
+  if (m.missing?.length) risks.push(T('analysis.missingData', { fields: formatList(m.missing, lang) }));
+  const fv = round2(weightedFairValue(m, profile.weights));
+  const up = m.price ? ((fv - m.price) / m.price) * 100 : 0;
+  return {
+    fv,
+    rationale: T('analysis.localRationale', { formula: formulaText(profile), pct: p(up) }),
+    strengths: strengths.slice(0, 5),
+    risks: risks.slice(0, 5),
+    confidence: !m.missing?.length && sortedRecords(fin?.income).length >= AI_STATEMENT_YEARS ? 'medium' : 'low',
+  };
+}
+
+/* -> { fv, rationale, strengths, risks, confidence, source: 'webgpu' | 'cloud' | 'local', lang } */
+async function runAnalysis({ m, profile, fin, lang, company, ticker }) {
+  const source = aiBackend() || 'local';
+  if (source === 'local') return { ...localAnalysis(m, profile, fin, lang), source, lang };
+  const content = await aiComplete(analysisMessages({ m, profile, fin, lang, company, ticker }), { json: true });
+  const a = parseAnalysis(extractJSON(content));
+  if (!a) throw new Error('parse_error');
+  return { ...a, source, lang };
+}
+
+const CONFIDENCE_TONE = { low: 'bg-amber-50 text-amber-800', medium: 'bg-blue-50 text-blue-800', high: 'bg-green-50 text-green-800' };
+function AIAnalysis({ a, fvShown, ccy, cached, diffPct, compColor, T, lang }) {
+  const src = { webgpu: T('analysis.onDevice'), cloud: T('analysis.cloud'), local: T('analysis.localCalculation') }[a.source];
+  return (
+    <div className="rounded-lg border bg-gray-50 p-3 space-y-2" dir={localeOf(a.lang).dir}>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <strong>{T('analysis.aiFairValue')}</strong> {formatMoney(fvShown, ccy, lang)}
+        <span className={`text-xs rounded-full px-2 py-0.5 ${CONFIDENCE_TONE[a.confidence]}`}>
+          {T('analysis.confidence')} {T(`analysis.level.${a.confidence}`)}
+        </span>
+        <span className="text-xs text-gray-500">{src}{cached && ` · ${T('analysis.fromCache')}`}</span>
+      </div>
+      <div className={`text-sm font-semibold ${compColor}`}>
+        {T('analysis.vsApp')} <Pct n={diffPct} lang={lang} />
+      </div>
+      <p className="text-sm text-gray-700">{a.rationale}</p>
+      <div className="grid sm:grid-cols-2 gap-3 text-sm">
+        <div>
+          <div className="font-medium text-green-700">{T('analysis.strengths')}</div>
+          {a.strengths.length ? <ul className="list-disc ps-5 text-gray-700">{a.strengths.map((s, i) => <li key={i}>{s}</li>)}</ul> : <div className="text-xs text-gray-500">—</div>}
+        </div>
+        <div>
+          <div className="font-medium text-red-700">{T('analysis.risks')}</div>
+          {a.risks.length ? <ul className="list-disc ps-5 text-gray-700">{a.risks.map((s, i) => <li key={i}>{s}</li>)}</ul> : <div className="text-xs text-gray-500">—</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* Follow-up questions about one stock. History is kept per stock and language; the current metrics
+   (and annual statements, once loaded) go in as the system context on every turn. */
+const CHAT_KEY_PREFIX = 'ai_chat_v1_';
+const CHAT_KEY = (symbolWithSuffix, lang) => `${CHAT_KEY_PREFIX}${symbolWithSuffix}_${lang}`;
+const CHAT_MAX_MESSAGES = 40;
+const CHAT_CONTEXT_MESSAGES = 12;
+const CHAT_SUGGESTIONS = ['chat.suggest.evVsPe', 'chat.suggest.risks', 'chat.suggest.margins'];
+function chatMessages({ m, profile, fin, lang, company, ticker, history, question }) {
+  const sys = [
+    'You are a careful equity analyst answering follow-up questions about one stock.',
+    'Ground answers in the facts below; say so when something is not in them. Be concise (under 150 words). This is not investment advice.',
+    `Answer in ${localeOf(lang).name}.`,
+    '',
+    `${company || ticker} (${ticker})`,
+    analysisFacts(m, profile, fin),
+  ].join('\n');
+  return [
+    { role: 'system', content: sys },
+    ...history.slice(-CHAT_CONTEXT_MESSAGES).map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: question },
+  ];
+}
+
+function StockChat({ symbol, ticker, company, m, profile, T, lang }) {
+  const key = CHAT_KEY(symbol, lang);
+  const [history, setHistory] = useState(() => cacheRead(key, []));
+  const [input, setInput] = useState('');
+  const [draft, setDraft] = useState(null); // streaming reply, null when idle
+  const [err, setErr] = useState('');
+  const abortRef = useRef(null);
+  const finRef = useRef(null);
+  const listRef = useRef(null);
+  const backend = aiBackend();
+  const engine = useEngineState();
+
+  useEffect(() => { setHistory(cacheRead(key, [])); setErr(''); }, [key]);
+  useEffect(() => () => abortRef.current?.abort(), [symbol]);
+  useEffect(() => { const el = listRef.current; if (el) el.scrollTop = el.scrollHeight; }, [history, draft]);
+
+  const save = (next) => { const h = next.slice(-CHAT_MAX_MESSAGES); cacheWrite(key, h); setHistory(h); };
+
+  async function send(text) {
+    const question = String(text || '').trim();
+    if (!question || draft != null || !backend) return;
+    setErr(''); setInput('');
+    const before = [...history, { role: 'user', content: question }];
+    save(before);
+    const ctrl = new AbortController(); abortRef.current = ctrl;
+    let reply = '';
+    setDraft('');
+    try {
+      if (!finRef.current) finRef.current = await getFinancials(symbol, 'annual').catch(() => null);
+      await aiStream(chatMessages({ m, profile, fin: finRef.current, lang, company, ticker, history, question }), {
+        signal: ctrl.signal,
+        onToken: (t) => { reply += t; setDraft(reply); },
+      });
+      if (reply) save([...before, { role: 'assistant', content: reply, ...(ctrl.signal.aborted ? { stopped: true } : {}) }]);
+    } catch {
+      if (ctrl.signal.aborted) { if (reply) save([...before, { role: 'assistant', content: reply, stopped: true }]); }
+      else setErr(T('common.somethingWentWrong'));
+    } finally {
+      if (abortRef.current === ctrl) abortRef.current = null;
+      setDraft(null);
+    }
+  }
+
+  const bubble = (role) => (role === 'user' ? 'bg-gray-900 text-white ms-auto' : 'bg-gray-100 text-gray-900 me-auto');
+  return (
+    <Card
+      title={T('chat.title')}
+      subtitle={T('chat.contextNote')}
+      actions={history.length > 0 && draft == null && <Button variant="ghost" onClick={() => save([])}>{T('chat.clearChat')}</Button>}
+    >
+      {!backend ? (
+        <div className="text-sm text-amber-700">{T('chat.needsBackend')}</div>
+      ) : (
+        <>
+          <div ref={listRef} className="max-h-80 overflow-y-auto space-y-2" aria-live="polite">
+            {history.map((msg, i) => (
+              <div key={i} className={`max-w-[85%] w-fit rounded-lg px-3 py-2 text-sm whitespace-pre-wrap ${bubble(msg.role)}`}>
+                {msg.content}
+                {msg.stopped && <span className="block text-xs text-gray-500 mt-1">{T('chat.stopped')}</span>}
+              </div>
+            ))}
+            {draft != null && (
+              <div className={`max-w-[85%] w-fit rounded-lg px-3 py-2 text-sm whitespace-pre-wrap ${bubble('assistant')}`}>
+                {draft || <span className="text-gray-500">{T('chat.thinking')}</span>}
+              </div>
+            )}
+          </div>
+          {draft === '' && <div className="mt-2"><EngineProgress state={engine} T={T} /></div>}
+          {!history.length && draft == null && (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {CHAT_SUGGESTIONS.map((key) => (
+                <button key={key} onClick={() => send(T(key))} className="text-xs rounded-full border px-3 py-1 hover:bg-gray-50">{T(key)}</button>
+              ))}
+            </div>
+          )}
+          {err && <div className="mt-2 text-sm text-red-600" role="alert">{err}</div>}
+          <form className="mt-3 flex items-center gap-2" onSubmit={(e) => { e.preventDefault(); send(input); }}>
+            <input
+              value={input} onChange={(e) => setInput(e.target.value)} disabled={draft != null}
+              placeholder={T('chat.placeholder')}
+              className="flex-1 border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-gray-300"
+            />
+            {draft != null
+              ? <Button variant="ghost" onClick={() => abortRef.current?.abort()}>{T('chat.stop')}</Button>
+              : <Button disabled={!input.trim()}>{T('chat.send')}</Button>}
+          </form>
+        </>
+      )}
+    </Card>
+  );
+}
+
+/* ========================== Components ========================== */
+/* Header actions shared by every page: optional Back, settings, language toggle, contact */
+function HeaderNav({ langApi, onBack }) {
+  const { T } = langApi;
+  const navigate = useNavigate();
+  const [inbox] = useAlertInbox();
+  const langs = Object.keys(LOCALES);
+  const nextLang = langs[(langs.indexOf(langApi.lang) + 1) % langs.length];
+  const unread = inbox.filter((e) => !e.read).length;
+  return (
+    <>
+      {onBack && <Button variant="ghost" onClick={onBack}>{T('nav.back')}</Button>}
+      <Button variant="ghost" onClick={() => navigate('/alerts')}>🔔{unread > 0 && <span className="ml-1 rounded-full bg-red-600 px-1.5 text-xs text-white">{unread}</span>}</Button>
+      <Button variant="ghost" onClick={() => navigate('/lists')}>{T('nav.myLists')}</Button>
+      <Button variant="ghost" onClick={() => navigate('/settings')}>{T('common.settings')}</Button>
+      <CurrencySelect T={T} />
+      <Button variant="ghost" onClick={() => langApi.setLang(nextLang)} title={localeOf(nextLang).name}>
+        {localeOf(nextLang).short}
+      </Button>
+      <Button as="a" href="https://x.com/dr_sam_78" target="_blank" rel="noopener noreferrer" variant="ghost">
+        {T('nav.contact')}
+      </Button>
+    </>
+  );
+}
+
+/* DCF + P/E-multiple models with user-editable assumptions, shown against the weighted value */
+const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x));
+const defaultModelInputs = (m) => ({
+  g: round2(clamp((m.earningsGrowth || m.revenueGrowth || 0.05) * 100, 0, 15)),
+  margin: 80,
+  r: 10,
+  years: 5,
+  pe: round2(m.forwardPE || m.trailingPE || 15),
+});
+
+function ModelField({ label, value, onChange, step = 0.5, min, max, suffix }) {
+  return (
+    <label className="block">
+      <span className="text-xs text-gray-600">{label}</span>
+      <div className="mt-1 flex items-center gap-1">
+        <input
+          type="number" value={value} step={step} min={min} max={max}
+          onChange={(e) => onChange(e.target.value === '' ? '' : Number(e.target.value))}
+          className="w-full border rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-gray-300"
+        />
+        {suffix && <span className="text-xs text-gray-500">{suffix}</span>}
+      </div>
+    </label>
+  );
+}
+
+function ValuationModels({ m, profile, T, lang, ccy }) {
+  const [inp, setInp] = useState(() => defaultModelInputs(m));
+  const set = (k) => (v) => setInp((p) => ({ ...p, [k]: v }));
+  const hasEPS = m.eps > 0;
+
+  const res = useMemo(() => {
+    const g = Number(inp.g) / 100, mg = Number(inp.margin) / 100, r = Number(inp.r) / 100;
+    const years = clamp(Math.round(Number(inp.years) || 1), 1, 30);
+    const dcfValid = hasEPS && r > g;
+    const dcf = dcfValid ? dcfFairPrice(m.price, m.eps, g, mg, r, years) : null;
+    const mult = hasEPS && Number(inp.pe) > 0 ? multiplesFairPrice(m.eps, Number(inp.pe)) : null;
+    const vals = [m.weighted, dcf, mult].filter((v) => Number.isFinite(v) && v > 0);
+    const spread = vals.length > 1 ? ((Math.max(...vals) - Math.min(...vals)) / Math.min(...vals)) * 100 : null;
+    return { dcf, mult, spread, rBelowG: hasEPS && r <= g };
+  }, [inp, m, hasEPS]);
+
+  const upside = (v) => ((v - (m.price || 1)) / (m.price || 1)) * 100;
+  const rows = [
+    { id: 'weighted', label: `${T('models.weighted')} (${profile.name})`, v: m.weighted },
+    { id: 'dcf', label: T('models.dcf'), v: res.dcf },
+    { id: 'pe', label: T('models.peMultiple'), v: res.mult },
+  ];
+
+  return (
+    <Card
+      title={T('models.title')}
+      subtitle={`EPS: ${hasEPS ? formatMoney(m.eps, ccy, lang) : '—'}`}
+      actions={<Button variant="ghost" onClick={() => setInp(defaultModelInputs(m))}>{T('common.reset')}</Button>}
+    >
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+        <ModelField label={T('models.growth')} value={inp.g} onChange={set('g')} suffix="%" />
+        <ModelField label={T('models.cashMargin')} value={inp.margin} onChange={set('margin')} step={5} min={0} max={100} suffix="%" />
+        <ModelField label={T('models.discountRate')} value={inp.r} onChange={set('r')} suffix="%" />
+        <ModelField label={T('models.horizonYrs')} value={inp.years} onChange={set('years')} step={1} min={1} max={30} />
+        <ModelField label={T('models.pe')} value={inp.pe} onChange={set('pe')} min={0} />
+      </div>
+
+      {!hasEPS && (
+        <div className="mt-3 text-xs text-amber-700">{T('common.epsUnavailable')}</div>
+      )}
+      {res.rBelowG && (
+        <div className="mt-3 text-xs text-amber-700">{T('models.rBelowG')}</div>
+      )}
+
+      <table className="mt-3 min-w-full text-sm">
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.id} className="border-t">
+              <td className="py-2 px-2 text-gray-600">{row.label}</td>
+              <td className="py-2 px-2 text-right font-medium">{Number.isFinite(row.v) && row.v > 0 ? formatMoney(row.v, ccy, lang) : <span className="text-gray-400">—</span>}</td>
+              <td className={`py-2 px-2 text-right ${Number.isFinite(row.v) && row.v > 0 ? pctColor(upside(row.v), profile) : 'text-gray-400'}`}>
+                {Number.isFinite(row.v) && row.v > 0 ? <Pct n={upside(row.v)} lang={lang} /> : '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {res.spread != null && (
+        <div className="mt-2 text-xs text-gray-500">
+          {T('models.spread')} <Pct n={res.spread} lang={lang} />
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/* Bear/base/bull: % adjustments to forward P/E and net income (scale fairPE) and to the P/S multiple
+   and sales (scale fairPS); EV and book value are left as they are. Shared by every stock. */
+const SCENARIOS_KEY = 'fv_scenarios_v1';
+const SCENARIO_IDS = ['bear', 'base', 'bull'];
+const SCENARIO_FIELDS = [
+  { id: 'pe', label: 'scenarios.field.pe' },
+  { id: 'ni', label: 'scenarios.field.ni' },
+  { id: 'ps', label: 'scenarios.field.ps' },
+  { id: 'sales', label: 'scenarios.field.sales' },
+];
+const DEFAULT_SCENARIOS = {
+  bear: { pe: -20, ni: -10, ps: -20, sales: -10 },
+  base: { pe: 0, ni: 0, ps: 0, sales: 0 },
+  bull: { pe: 20, ni: 10, ps: 20, sales: 10 },
+};
+const loadScenarios = () => {
+  const v = cacheRead(SCENARIOS_KEY, null);
+  return Object.fromEntries(SCENARIO_IDS.map((id) => [id, { ...DEFAULT_SCENARIOS[id], ...(v?.[id] || {}) }]));
+};
+const useScenarios = () => useStoredState(SCENARIOS_KEY, loadScenarios);
+const scenarioFairValue = (m, weights, adj) => {
+  const f = (x) => 1 + num0(x) / 100;
+  return weightedFairValue({ ...m, fairPE: m.fairPE * f(adj.pe) * f(adj.ni), fairPS: m.fairPS * f(adj.ps) * f(adj.sales) }, weights);
+};
+/* -> { bear, base, bull: { fv, upside }, low, high } (low/high: fair-value range across scenarios) */
+function scenarioRange(m, profile, scenarios) {
+  if (!m) return null;
+  const out = {};
+  for (const id of SCENARIO_IDS) {
+    const fv = scenarioFairValue(m, profile.weights, scenarios[id]);
+    out[id] = { fv, upside: m.price ? ((fv - m.price) / m.price) * 100 : null };
+  }
+  const fvs = SCENARIO_IDS.map((id) => out[id].fv).filter((v) => Number.isFinite(v) && v > 0);
+  if (fvs.length) {
+    const low = Math.min(...fvs), high = Math.max(...fvs);
+    Object.assign(out, { low, high, lowPct: m.price ? ((low - m.price) / m.price) * 100 : null, highPct: m.price ? ((high - m.price) / m.price) * 100 : null });
+  }
+  return out;
+}
+/* Discount-rate (rows) x growth (cols) grid, in percentage points around an editable centre. The
+   default centre keeps r a few points above g so most cells are valid (the terminal value needs r > g). */
+const SENS_STEPS_R = [-2, -1, 0, 1, 2];
+const SENS_STEPS_G = [-4, -2, 0, 2, 4];
+const sensCenter = (m) => { const d = defaultModelInputs(m); return { ...d, r: Math.max(d.r, round2(d.g + 4)) }; };
+const verdictBg = { under: 'bg-green-100 text-green-800', fair: 'bg-blue-50 text-blue-800', over: 'bg-red-50 text-red-700' };
+
+function ScenarioPanel({ m, profile, T, lang, ccy }) {
+  const [scenarios, setScenarios] = useScenarios();
+  const range = useMemo(() => scenarioRange(m, profile, scenarios), [m, profile, scenarios]);
+  const [center, setCenter] = useState(() => sensCenter(m));
+  const setC = (k) => (v) => setCenter((c) => ({ ...c, [k]: v }));
+  const cg = num0(center.g), cr = num0(center.r);
+  const set = (id, field) => (v) => setScenarios((all) => ({ ...all, [id]: { ...all[id], [field]: v } }));
+  const money = (v) => (Number.isFinite(v) && v > 0 ? formatMoney(v, ccy, lang) : '—');
+  const label = { bear: T('scenarios.bear'), base: T('scenarios.base'), bull: T('scenarios.bull') };
+  const hasEPS = m.eps > 0;
+
+  return (
+    <Card
+      title={T('scenarios.title')}
+      subtitle={range?.low != null && <>{T('scenarios.fairValueRange')} {money(range.low)} – {money(range.high)} (<Pct n={range.lowPct} lang={lang} /> … <Pct n={range.highPct} lang={lang} />)</>}
+      actions={<Button variant="ghost" onClick={() => { setScenarios(DEFAULT_SCENARIOS); setCenter(sensCenter(m)); }}>{T('common.reset')}</Button>}
+    >
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="text-start font-medium text-gray-600 py-2 px-2">{T('scenarios.adjustment')}</th>
+              {SCENARIO_IDS.map((id) => <th key={id} className="text-center font-medium text-gray-600 py-2 px-2">{label[id]}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {SCENARIO_FIELDS.map((f) => (
+              <tr key={f.id} className="border-t">
+                <td className="py-1.5 px-2 text-gray-700 whitespace-nowrap">{T(f.label)}</td>
+                {SCENARIO_IDS.map((id) => (
+                  <td key={id} className="py-1.5 px-2"><ModelField value={scenarios[id][f.id]} onChange={set(id, f.id)} step={5} suffix="%" /></td>
+                ))}
+              </tr>
+            ))}
+            <tr className="border-t bg-gray-50/60">
+              <td className="py-2 px-2 font-medium">{T('scenarios.fairValue')}</td>
+              {SCENARIO_IDS.map((id) => (
+                <td key={id} className="py-2 px-2 text-center">
+                  <div className="font-medium">{money(range[id].fv)}</div>
+                  {range[id].upside != null && <div className={`text-xs ${pctColor(range[id].upside, profile)}`}><Pct n={range[id].upside} lang={lang} /></div>}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4">
+        <div className="text-sm font-medium">{T('scenarios.dcfSensitivity')}</div>
+        <div className="text-xs text-gray-500 mb-2">
+          {T('scenarios.gridNote')} {center.margin}% · {center.years} {T('scenarios.yrs')}
+        </div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+          <ModelField label={T('scenarios.growthCentre')} value={center.g} onChange={setC('g')} suffix="%" />
+          <ModelField label={T('scenarios.discountRateCentre')} value={center.r} onChange={setC('r')} suffix="%" />
+        </div>
+        {!hasEPS ? (
+          <div className="text-xs text-amber-700">{T('common.epsUnavailable')}</div>
+        ) : (
+          <div className="overflow-x-auto" dir="ltr">
+            <table className="text-xs border-separate border-spacing-0.5">
+              <thead>
+                <tr>
+                  <th className="px-2 py-1 text-gray-500">r \ g</th>
+                  {SENS_STEPS_G.map((dg) => <th key={dg} className="px-2 py-1 text-gray-600 font-medium">{round2(cg + dg)}%</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {SENS_STEPS_R.map((dr) => {
+                  const r = round2(cr + dr);
+                  return (
+                    <tr key={dr}>
+                      <th className="px-2 py-1 text-gray-600 font-medium">{round2(r)}%</th>
+                      {SENS_STEPS_G.map((dg) => {
+                        const g = round2(cg + dg);
+                        if (r <= g) return <td key={dg} className="px-2 py-1 text-center text-gray-300 bg-gray-50">—</td>;
+                        const fv = dcfFairPrice(m.price, m.eps, g / 100, center.margin / 100, r / 100, center.years);
+                        const up = ((fv - m.price) / (m.price || 1)) * 100;
+                        return (
+                          <td key={dg} className={`px-2 py-1 text-center rounded ${verdictBg[verdictOf(up, profile)]} ${dr === 0 && dg === 0 ? 'ring-1 ring-gray-900' : ''}`} title={formatMoney(fv, ccy, lang)}>
+                            <div className="font-medium">{formatNumber(fv, lang, 2)}</div>
+                            <div><Pct n={up} lang={lang} /></div>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+function MarketToggle({ value, onChange, lang }) {
+  const opts = MARKETS.map((m) => ({ id: m.id, label: `${m.flag || ''} ${localized(m.label, lang)}`.trim() }));
+  return (
+    <div className="inline-flex flex-wrap items-center rounded-lg border bg-white shadow-sm overflow-hidden">
+      {opts.map((opt) => {
+        const active = value === opt.id;
+        return (
+          <button
+            key={opt.id}
+            onClick={() => onChange(opt.id)}
+            className={`px-3 py-1.5 text-sm font-medium ${active ? 'bg-gray-900 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+          >
+            {opt.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+function Sidebar({ market, setMarket, q, setQ, T, lang }) {
+  return (
+    <div className="space-y-4">
+      <Card title={T('common.market')}>
+        <MarketToggle value={market} onChange={setMarket} lang={lang} />
+        <div className="mt-4">
+          <label className="text-xs text-gray-600">{T('sidebar.search')}</label>
+          <input
+            value={q}
+            onChange={(e) => setQ(e.target.value)}
+            placeholder={T('sidebar.searchPlaceholder')}
+            className="mt-1 w-full border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-gray-300"
+          />
+        </div>
+      </Card>
+      <Card title={T('sidebar.tips')}>
+        <ul className="text-xs text-gray-600 space-y-1 list-disc pl-4">
+          <li>{T('sidebar.priceRefresh')}</li>
+          <li>{T('sidebar.metricsCache')}</li>
+          <li>{T('sidebar.aiOnDevice')}</li>
+          <li>{T('sidebar.dataSource')} {getProvider().label}</li>
+        </ul>
+      </Card>
+    </div>
+  );
+}
+
+/* Load errors are kept as Error objects and worded at render time (offline snapshot gaps are expected, not failures) */
+const errorText = (e, T) => (e?.noSnapshot ? T('offline.noSnapshot') : e?.message || String(e));
+/* Empty price cell; says so when the offline snapshots have nothing for the row */
+const NoValue = ({ row, T }) => (row.noSnapshot
+  ? <span className="text-xs text-gray-400" title={T('offline.noSnapshot')}>{T('offline.noSnapshotShort')}</span>
+  : <span className="text-gray-400">—</span>);
+function IndustryTable({ title, rows, currency, onOpen, listItem, lists, compare, stats, T, lang }) {
+  const { convert } = useDisplayCurrency();
+  const money = (v) => { const c = convert(v, currency); return formatMoney(c.value, c.ccy, lang); };
+  return (
+    <Card title={title} className="mb-4">
+      {stats}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {compare && <th className="py-2 px-2 w-6" title={T('market.compare')}>⇄</th>}
+              <th className="text-left font-medium text-gray-600 py-2 px-2">{T('table.ticker')}</th>
+              <th className="text-left font-medium text-gray-600 py-2 px-2">{T('table.company')}</th>
+              <th className="text-right font-medium text-gray-600 py-2 px-2">{T('table.price')}</th>
+              <th className="text-right font-medium text-gray-600 py-2 px-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((s) => (
+              <tr key={s.ticker} className="border-t">
+                {compare && (
+                  <td className="py-2 px-2">
+                    <input type="checkbox" checked={compare.has(s)} disabled={!compare.has(s) && compare.full} onChange={() => compare.toggle(s)} aria-label={T('market.compare')} />
+                  </td>
+                )}
+                <td className="py-2 px-2 font-mono">{s.ticker}</td>
+                <td className="py-2 px-2">{companyLabel(s, lang)}</td>
+                <td className="py-2 px-2 text-right">{s.price == null ? <NoValue row={s} T={T} /> : money(s.price)}</td>
+                <td className="py-2 px-2 text-right whitespace-nowrap">
+                  {lists && <span className="mr-1 inline-block"><AddToList item={listItem(s)} api={lists} T={T} /></span>}
+                  <Button variant="subtle" onClick={() => onOpen({ ticker: s.ticker, company: s.companyName })}>
+                    {T('common.open')}
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
+/* ========================== Screener ========================== */
+
+const SCREENER_COLUMNS = [
+  { id: 'price', label: 'metric.price' },
+  { id: 'weighted', label: 'metric.weighted' },
+  { id: 'upside', label: 'metric.upside', pct: true },
+  { id: 'grossMargin', label: 'metric.grossMargin', pct: true },
+  { id: 'opMargin', label: 'metric.opMargin', pct: true },
+  { id: 'netMargin', label: 'metric.netMargin', pct: true },
+  { id: 'bookValue', label: 'metric.bookValue' },
+];
+const SCREENER_PRESETS = [
+  { label: 'market.preset.upside25', rule: { field: 'upside', op: '>', value: 25 } },
+  { label: 'market.preset.netMargin15', rule: { field: 'netMargin', op: '>', value: 15 } },
+];
+function screenerRow(row, m, profile) {
+  if (!m) return { ...row, loaded: false };
+  const price = m.price || row.price || 0;
+  const weighted = weightedFairValue(m, profile.weights);
+  const upside = price ? ((weighted - price) / price) * 100 : null;
+  return { ...row, loaded: true, price, fairEV: m.fairEV, fairPE: m.fairPE, fairPS: m.fairPS, weighted, upside, grossMargin: m.grossMargin, opMargin: m.opMargin, netMargin: m.netMargin, bookValue: m.bookValue, profile };
+}
+const passesRule = (r, { field, op, value }) => {
+  const v = r[field]; if (!Number.isFinite(v)) return false;
+  return op === '<' ? v < Number(value) : v > Number(value);
+};
+/* locale: the market's, so company names collate correctly */
+const sortRows = (rows, { field, dir }, locale) => {
+  if (!field) return rows;
+  const k = dir === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const x = a[field], y = b[field];
+    const xn = typeof x === 'number' && Number.isFinite(x), yn = typeof y === 'number' && Number.isFinite(y);
+    if (!xn || !yn) return xn === yn ? String(x ?? '').localeCompare(String(y ?? ''), locale) * k : xn ? -1 : 1; // missing values last
+    return (x - y) * k;
+  });
+};
+
+function ScreenerFilters({ rules, setRules, T }) {
+  const set = (i, patch) => setRules(rules.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  return (
+    <div className="space-y-2">
+      {rules.map((r, i) => (
+        <div key={i} className="flex items-center gap-2">
+          <select value={r.field} onChange={(e) => set(i, { field: e.target.value })} className="border rounded-lg px-2 py-1.5 text-sm bg-white">
+            {SCREENER_COLUMNS.map((c) => <option key={c.id} value={c.id}>{T(c.label)}</option>)}
+          </select>
+          <select value={r.op} onChange={(e) => set(i, { op: e.target.value })} className="border rounded-lg px-2 py-1.5 text-sm bg-white">
+            <option value=">">&gt;</option>
+            <option value="<">&lt;</option>
+          </select>
+          <input type="number" value={r.value} onChange={(e) => set(i, { value: e.target.value })} className="w-24 border rounded-lg px-2 py-1.5 text-sm" />
+          <Button variant="ghost" onClick={() => setRules(rules.filter((_, j) => j !== i))}>✕</Button>
+        </div>
+      ))}
+      <div className="flex flex-wrap items-center gap-2">
+        <Button variant="subtle" onClick={() => setRules([...rules, { field: 'upside', op: '>', value: 0 }])}>{T('market.addFilter')}</Button>
+        {SCREENER_PRESETS.map((p) => (
+          <Button key={p.label} variant="ghost" onClick={() => setRules([...rules, { ...p.rule }])}>{T(p.label)}</Button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ScreenerTable({ title, rows, currency, sort, setSort, showIndustry, onOpen, lists, stats, rowRef, T, lang }) {
+  const { convert } = useDisplayCurrency();
+  const th = 'font-medium text-gray-600 py-2 px-2 cursor-pointer select-none whitespace-nowrap';
+  const arrow = (id) => (sort.field === id ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : '');
+  const toggle = (id) => setSort(sort.field === id ? { field: id, dir: sort.dir === 'asc' ? 'desc' : 'asc' } : { field: id, dir: 'desc' });
+  const cell = (r, c) => {
+    const v = r[c.id];
+    if (r.noSnapshot) return c.id === 'price' ? <NoValue row={r} T={T} /> : <span className="text-gray-400">—</span>;
+    if (!r.loaded && c.id !== 'price') return <span className="text-gray-300">…</span>;
+    if (!Number.isFinite(v)) return <span className="text-gray-400">—</span>;
+    if (c.id === 'upside') return <span className={pctColor(v, r.profile)}><Pct n={v} lang={lang} /></span>;
+    if (c.pct) return <Pct n={v} lang={lang} />;
+    const d = convert(v, currency);
+    return formatMoney(d.value, d.ccy, lang);
+  };
+  return (
+    <Card title={title} className="mb-4">
+      {stats}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className={`text-left ${th}`} onClick={() => toggle('ticker')}>{T('table.ticker')}{arrow('ticker')}</th>
+              <th className={`text-left ${th}`} onClick={() => toggle('companyName')}>{T('table.company')}{arrow('companyName')}</th>
+              {showIndustry && <th className={`text-left ${th}`} onClick={() => toggle('industry')}>{T('common.industry')}{arrow('industry')}</th>}
+              {SCREENER_COLUMNS.map((c) => (
+                <th key={c.id} className={`text-right ${th}`} onClick={() => toggle(c.id)}>{T(c.label)}{arrow(c.id)}</th>
+              ))}
+              <th className="text-right font-medium text-gray-600 py-2 px-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.ticker} ref={rowRef} data-key={metricsKey(r.market, r.ticker)} className="border-t">
+                <td className="py-2 px-2 font-mono">{r.ticker}</td>
+                <td className="py-2 px-2">{companyLabel(r, lang)}</td>
+                {showIndustry && <td className="py-2 px-2 text-gray-500">{r.industry}</td>}
+                {SCREENER_COLUMNS.map((c) => <td key={c.id} className="py-2 px-2 text-right whitespace-nowrap">{cell(r, c)}</td>)}
+                <td className="py-2 px-2 text-right whitespace-nowrap">
+                  {lists && <span className="mr-1 inline-block"><AddToList item={{ market: r.market, ticker: r.ticker, company: r.companyName, industry: r.industry }} api={lists} T={T} /></span>}
+                  <Button variant="subtle" onClick={() => onOpen({ ticker: r.ticker, company: r.companyName, industry: r.industry })}>
+                    {T('common.open')}
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
+/* ========================== Industry aggregates + peers ========================== */
+const median = (values) => {
+  const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+};
+/* Zero margins mean "not reported" (same convention as the indicator cards) and are left out. */
+const PEER_METRICS = [
+  { id: 'upside', label: 'metric.upside' },
+  { id: 'grossMargin', label: 'metric.grossMargin', zeroIsMissing: true },
+  { id: 'opMargin', label: 'metric.opMargin', zeroIsMissing: true },
+  { id: 'netMargin', label: 'metric.netMargin', zeroIsMissing: true },
+];
+const peerValue = (r, { id, zeroIsMissing }) => (r.loaded && Number.isFinite(r[id]) && !(zeroIsMissing && r[id] === 0) ? r[id] : null);
+/* rows: screenerRow() results for one industry */
+function industryStats(rows) {
+  const valued = rows.filter((r) => r.loaded && r.upside != null);
+  const counts = { under: 0, fair: 0, over: 0 };
+  for (const r of valued) counts[verdictOf(r.upside, r.profile)]++;
+  const medians = Object.fromEntries(PEER_METRICS.map((pm) => [pm.id, median(rows.map((r) => peerValue(r, pm)))]));
+  return { total: rows.length, valued: valued.length, counts, medians, profile: rows[0]?.profile || DEFAULT_PROFILE };
+}
+/* 1 = best; higher is better for every peer metric */
+function peerRank(rows, self, pm) {
+  const v = peerValue(self, pm); if (v == null) return null;
+  const values = rows.map((r) => peerValue(r, pm)).filter((x) => x != null);
+  const rank = 1 + values.filter((x) => x > v).length;
+  return { value: v, rank, of: values.length, pctile: values.length > 1 ? ((values.length - rank) / (values.length - 1)) * 100 : null };
+}
+
+function IndustryStats({ stats, onLoad, loading, eta, T, lang }) {
+  if (!stats?.valued) {
+    if (!onLoad) return null;
+    return (
+      <div className="mb-3 flex items-center gap-2">
+        <Button variant="subtle" onClick={onLoad} disabled={loading}>
+          {loading ? T('peers.computing') : `📊 ${T('peers.industryStats')}`}
+        </Button>
+        {eta && <span className="text-xs text-gray-500">{T('market.fillEta', { time: eta, rpm: TWELVE_RPM })}</span>}
+      </div>
+    );
+  }
+  const { counts, medians, profile } = stats;
+  const med = (id) => (medians[id] == null ? '—' : <Pct n={medians[id]} lang={lang} />);
+  return (
+    <div className="mb-3 rounded-lg border bg-gray-50/60 p-3 text-xs text-gray-600 flex flex-wrap gap-x-5 gap-y-1">
+      <span>{T('peers.medianUpside')} <strong className={medians.upside == null ? '' : pctColor(medians.upside, profile)}>{med('upside')}</strong></span>
+      <span>{T('peers.medianMargins')} <strong>{med('grossMargin')} / {med('opMargin')} / {med('netMargin')}</strong></span>
+      <span>
+        <span className="text-green-600">{counts.under} {T('peers.under')}</span> · <span className="text-blue-600">{counts.fair} {T('peers.fair')}</span> · <span className="text-red-600">{counts.over} {T('peers.over')}</span>
+      </span>
+      <span className="text-gray-400">{T('peers.basedOn', { valued: stats.valued, total: stats.total })}{loading ? '…' : ''}</span>
+    </div>
+  );
+}
+
+function PeerPanel({ market, ticker, industry, m, profile, T, lang }) {
+  const [peers, setPeers] = useState([]);
+  const [on, setOn] = useState(false);
+  useEffect(() => {
+    if (!industry) return;
+    let stop = false;
+    fetchMarketJSON(market).then((raw) => {
+      if (!stop) setPeers((raw[industry] || []).map((c) => { const e = companyEntry(c, market, industry); return { ...e, companyName: e.company }; }).filter((p) => p.ticker !== ticker));
+    }).catch(() => {});
+    return () => { stop = true; };
+  }, [market, industry, ticker]);
+  const { metrics, pending } = useLazyMetrics(peers, on);
+  const self = useMemo(() => screenerRow({ ticker }, m, profile), [ticker, m, profile]);
+  const rows = useMemo(() => [self, ...peers.map((p) => screenerRow(p, metrics[metricsKey(market, p.ticker)], profile))], [self, peers, metrics, market, profile]);
+  const stats = useMemo(() => industryStats(rows), [rows]);
+  if (!industry || !peers.length) return null;
+
+  return (
+    <Card
+      title={T('peers.title')}
+      subtitle={`${industry} · ${T('peers.count', { count: peers.length })}`}
+      actions={!on && <Button variant="subtle" onClick={() => setOn(true)}>{T('peers.rankAgainstPeers')}</Button>}
+    >
+      {!on && <div className="text-sm text-gray-500">{T('peers.loadHint')}</div>}
+      {on && (
+        <>
+          {pending > 0 && <div className="mb-2 text-xs text-gray-500">{T('common.metricsRemaining', { count: pending })}</div>}
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="text-start font-medium text-gray-600 py-2 px-2"></th>
+                <th className="text-end font-medium text-gray-600 py-2 px-2">{ticker}</th>
+                <th className="text-end font-medium text-gray-600 py-2 px-2">{T('peers.industryMedian')}</th>
+                <th className="text-start font-medium text-gray-600 py-2 px-2">{T('peers.rank')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {PEER_METRICS.map((pm) => {
+                const r = peerRank(rows, self, pm); const med = stats.medians[pm.id];
+                return (
+                  <tr key={pm.id} className="border-t">
+                    <td className="py-2 px-2 text-gray-700 whitespace-nowrap">{T(pm.label)}</td>
+                    <td className={`py-2 px-2 text-end ${r && med != null ? (r.value >= med ? 'text-green-600' : 'text-red-600') : ''}`}>{r ? <Pct n={r.value} lang={lang} /> : '—'}</td>
+                    <td className="py-2 px-2 text-end text-gray-600">{med == null ? '—' : <Pct n={med} lang={lang} />}</td>
+                    <td className="py-2 px-2">
+                      {r && r.of > 1 ? (
+                        <div className="flex items-center gap-2">
+                          <span className="whitespace-nowrap">#{r.rank} {T('peers.of')} {r.of}</span>
+                          <div className="h-1.5 w-24 rounded bg-gray-100 overflow-hidden" dir="ltr"><div className="h-full bg-gray-900" style={{ width: `${r.pctile}%` }} /></div>
+                        </div>
+                      ) : <span className="text-gray-400">—</span>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="mt-2 text-xs text-gray-500">
+            {T('peers.industryCounts', stats.counts)}
+          </div>
+        </>
+      )}
+    </Card>
+  );
+}
+
+/* ========================== Market snapshot export ========================== */
+// The market view as rows for spreadsheets/models: the same rows in every format, one per visible
+// stock, with metrics from the local cache (any age, current provider; blank when never loaded) and
+// values in the market's currency. Every row carries exported_at + source so weekly pastes can stack;
+// JSON and the XLSX "About" sheet also describe the view (market, search, screener rules).
+const SNAPSHOT_COLUMNS = [
+  ['industry', (r) => r.industry],
+  ['ticker', (r) => r.ticker],
+  ['name_en', (r) => r.names?.en || r.companyName],
+  ['name_ar', (r) => r.names?.ar || r.companyName],
+  ['currency', (r) => r.currency],
+  ['price', (r) => r.price],
+  ['fair_ev', (r) => r.fairEV],
+  ['fair_pe', (r) => r.fairPE],
+  ['fair_ps', (r) => r.fairPS],
+  ['book_value', (r) => r.bookValue],
+  ['weighted', (r) => r.weighted],
+  ['upside_pct', (r) => r.upside],
+  ['gross_margin_pct', (r) => r.grossMargin],
+  ['op_margin_pct', (r) => r.opMargin],
+  ['net_margin_pct', (r) => r.netMargin],
+  ['profile', (r) => r.profile?.name],
+  ['metrics_at', (r) => r.metricsAt],
+  ['exported_at', (r) => r.exportedAt],
+  ['source', (r) => r.source],
+];
+const SNAPSHOT_FORMATS = ['csv', 'xlsx', 'json'];
+
+/* rows: visible { ticker, companyName, names, industry, price } -> { meta, header, rows: [[cell]] }; missing values are null */
+function marketSnapshot(market, rows, profiles, view) {
+  const cache = metricsCacheGet(); const provider = getProvider(); const suffix = MARKET_SUFFIX[market];
+  const exportedAt = new Date().toISOString(); const source = provider.label;
+  let missing = 0;
+  const out = rows.map((row) => {
+    const hit = cache[`${row.ticker}${suffix}`]; const m = hit?.provider === provider.id ? hit.data : null;
+    if (!m) missing++;
+    const r = screenerRow(row, m, resolveProfile(profiles, market, row.industry));
+    const full = { ...r, currency: MARKET_CCY[market], metricsAt: m ? new Date(hit.at).toISOString() : null, exportedAt, source };
+    return SNAPSHOT_COLUMNS.map(([, get]) => { const v = get(full); return typeof v === 'number' ? (Number.isFinite(v) ? round2(v) : null) : v || null; });
+  });
+  const info = marketInfo(market);
+  const meta = {
+    type: 'trueprice.snapshot', version: 1, market, title: localized(info?.title, 'en'), currency: MARKET_CCY[market],
+    exportedAt, source, constituents: info?.data ? { version: info.data.version, asOf: info.data.asOf } : null,
+    view, count: out.length, withoutMetrics: missing,
+  };
+  return { meta, header: SNAPSHOT_COLUMNS.map(([id]) => id), rows: out };
+}
+
+/* Minimal OOXML workbook (inline strings, no styles) zipped without compression: no dependency,
+   opens in Excel, LibreOffice, Numbers and Google Sheets. sheets: [{ name, rows: [[cell]] }] */
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1; return c >>> 0; });
+const crc32 = (bytes) => { let c = 0xffffffff; for (const b of bytes) c = CRC32_TABLE[(c ^ b) & 0xff] ^ (c >>> 8); return (c ^ 0xffffffff) >>> 0; };
+function zipStore(files, type) {
+  const enc = new TextEncoder(); const parts = []; const central = []; let offset = 0;
+  for (const f of files) {
+    const name = enc.encode(f.name), data = enc.encode(f.data), crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30)); const dir = new DataView(new ArrayBuffer(46));
+    local.setUint32(0, 0x04034b50, true); local.setUint16(4, 20, true); local.setUint16(6, 0x0800, true); local.setUint16(12, 0x21, true);
+    local.setUint32(14, crc, true); local.setUint32(18, data.length, true); local.setUint32(22, data.length, true); local.setUint16(26, name.length, true);
+    dir.setUint32(0, 0x02014b50, true); dir.setUint16(4, 20, true); dir.setUint16(6, 20, true); dir.setUint16(8, 0x0800, true); dir.setUint16(14, 0x21, true);
+    dir.setUint32(16, crc, true); dir.setUint32(20, data.length, true); dir.setUint32(24, data.length, true); dir.setUint16(28, name.length, true); dir.setUint32(42, offset, true);
+    parts.push(local, name, data); central.push(dir, name);
+    offset += 30 + name.length + data.length;
+  }
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); end.setUint16(8, files.length, true); end.setUint16(10, files.length, true);
+  end.setUint32(12, central.reduce((n, p) => n + p.byteLength, 0), true); end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type });
+}
+const xlsxCol = (i) => (i >= 26 ? xlsxCol(Math.floor(i / 26) - 1) : '') + String.fromCharCode(65 + (i % 26));
+const xlsxCell = (v, ref) => {
+  if (typeof v === 'number' && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+  return v == null || v === '' ? '' : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeHTML(v)}</t></is></c>`;
+};
+const xlsxSheet = (rows) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${
+  rows.map((r, i) => `<row r="${i + 1}">${r.map((v, j) => xlsxCell(v, `${xlsxCol(j)}${i + 1}`)).join('')}</row>`).join('')}</sheetData></worksheet>`;
+function xlsxBlob(sheets) {
+  const ns = 'http://schemas.openxmlformats.org'; const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  return zipStore([
+    { name: '[Content_Types].xml', data: `${head}<Types xmlns="${ns}/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${
+      sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>` },
+    { name: '_rels/.rels', data: `${head}<Relationships xmlns="${ns}/package/2006/relationships"><Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+    { name: 'xl/workbook.xml', data: `${head}<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>${
+      sheets.map((s, i) => `<sheet name="${escapeHTML(s.name.slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>` },
+    { name: 'xl/_rels/workbook.xml.rels', data: `${head}<Relationships xmlns="${ns}/package/2006/relationships">${
+      sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}</Relationships>` },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xlsxSheet(s.rows) })),
+  ], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
+function exportSnapshot(format, snap) {
+  const { meta, header, rows } = snap;
+  const file = `trueprice-${meta.market}-${meta.exportedAt.slice(0, 10)}.${format}`;
+  if (format === 'csv') return downloadCSV(file, [header, ...rows]);
+  if (format === 'json') return downloadJSON(file, { ...meta, rows: rows.map((r) => Object.fromEntries(header.map((h, i) => [h, r[i]]))) });
+  const about = Object.entries(meta).map(([k, v]) => [k, v != null && typeof v === 'object' ? JSON.stringify(v) : v]);
+  downloadBlob(file, xlsxBlob([{ name: meta.market, rows: [header, ...rows] }, { name: 'About', rows: [['key', 'value'], ...about] }]));
+}
+
+function MarketBrowser({ market, setMarket, onOpen, onCompare, T, langApi, onLogoClick }) {
+  const lang = langApi.lang;
+  useEffect(() => { prefWrite('mkt', market); }, [market]);
+  const { grouped, loading, error, currency, asOf, version } = useMarketData(market);
+  const display = useDisplayCurrency();
+  const fx = display.fxFor(currency);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const setParam = (k, v) => setSearchParams((prev) => { const next = new URLSearchParams(prev); if (v) next.set(k, v); else next.delete(k); return next; }, { replace: true });
+  const q = searchParams.get('q') || '';
+  const setQ = (v) => setParam('q', v);
+  const screener = searchParams.get('mode') === 'screener';
+  const flat = searchParams.get('view') === 'flat';
+  const [sort, setSort] = useState({ field: 'upside', dir: 'desc' });
+  const [rules, setRules] = useState([]);
+  const [profiles] = useWeightProfiles();
+  const lists = usePortfolios();
+  const [tray, setTray] = useCompareTray();
+  const inTray = (it) => tray.some((c) => c.market === it.market && c.ticker === it.ticker);
+  const compareFor = (industry) => ({
+    full: tray.length >= COMPARE_MAX,
+    has: (s) => inTray({ market, ticker: s.ticker }),
+    toggle: (s) => setTray((all) => (all.some((c) => c.market === market && c.ticker === s.ticker)
+      ? all.filter((c) => !(c.market === market && c.ticker === s.ticker))
+      : [...all, { market, ticker: s.ticker, company: s.companyName, industry }].slice(0, COMPARE_MAX))),
+  });
+  // One search over every market: this market's hits filter and rank its rows (best industry first,
+  // best match first within it) and the best of the rest are listed in the header card. Until the
+  // other markets have loaded, this market's rows are searched alone.
+  const everywhere = useSearchIndex();
+  const local = useMemo(() => buildSearchIndex(Object.values(grouped).flat().map((s) => ({ ...s, market }))), [grouped, market]);
+  const hits = useMemo(() => (q.trim() ? searchCompanies(everywhere.length ? everywhere : local, q) : []), [everywhere, local, q]);
+  const elsewhere = useMemo(() => hits.filter((h) => h.market !== market).slice(0, 8), [hits, market]);
+  const filtered = useMemo(() => {
+    if (!q.trim()) return grouped;
+    const score = new Map(hits.filter((h) => h.market === market).map((h) => [h.ticker, h.score]));
+    const ranked = Object.entries(grouped)
+      .map(([industry, list]) => [industry, list.filter((s) => score.has(s.ticker)).sort((a, b) => score.get(b.ticker) - score.get(a.ticker))])
+      .filter(([, list]) => list.length);
+    return Object.fromEntries(ranked.sort(([, a], [, b]) => score.get(b[0].ticker) - score.get(a[0].ticker)));
+  }, [grouped, hits, market, q]);
+
+  const visibleRows = useMemo(() => Object.entries(filtered).flatMap(([industry, list]) => list.map((s) => ({ ...s, industry, market }))), [filtered, market]);
+  // Metrics load for the screener's rows plus any industry whose stats were requested; stats cover the
+  // whole industry regardless of the search box.
+  const [statsFor, setStatsFor] = useState([]);
+  useEffect(() => { setStatsFor([]); }, [market]);
+  const allRows = useMemo(() => Object.entries(grouped).flatMap(([industry, list]) => list.map((s) => ({ ...s, industry, market }))), [grouped, market]);
+  // A TwelveData stock costs METRICS_CREDITS, so the screener fills only the rows on screen
+  const [onScreen, observeRow] = useVisibleKeys();
+  const lazyRows = useMemo(() => {
+    const base = screener ? visibleRows.filter((r) => !onScreen || onScreen.has(metricsKey(market, r.ticker))) : []; const seen = new Set(base.map((r) => r.ticker));
+    return [...base, ...allRows.filter((r) => statsFor.includes(r.industry) && !seen.has(r.ticker))].filter((r) => !r.noSnapshot);
+  }, [screener, visibleRows, onScreen, allRows, statsFor, market]);
+  const { metrics, pending, halted } = useLazyMetrics(lazyRows);
+  // Fill-time estimates at TWELVE_RPM: rows without fresh metrics, plus the prices still loading for the whole market
+  const metered = getProvider() === twelveDataProvider && !!TWELVE_API_KEY;
+  const unfilled = useMemo(() => {
+    if (!metered) return [];
+    const cache = metricsCacheGet(); const suffix = MARKET_SUFFIX[market];
+    return allRows.filter((r) => !r.noSnapshot && !metrics[metricsKey(market, r.ticker)] && !metricsCacheFresh(`${r.ticker}${suffix}`, cache));
+  }, [metered, allRows, metrics, market]);
+  const fillEta = (stocks, prices = 0) => formatDuration(twelveMinutes(stocks * METRICS_CREDITS + prices), lang);
+  const fullEta = unfilled.length ? fillEta(unfilled.length, allRows.filter((r) => r.price == null && !r.noSnapshot).length) : '';
+  const scored = useMemo(() => allRows.map((row) => screenerRow(row, metrics[metricsKey(market, row.ticker)], resolveProfile(profiles, market, row.industry))), [allRows, metrics, profiles, market]);
+  const industryAgg = useMemo(() => {
+    const by = {}; for (const r of scored) (by[r.industry] ||= []).push(r);
+    return Object.fromEntries(Object.entries(by).map(([industry, rows]) => [industry, industryStats(rows)]));
+  }, [scored]);
+  const statsCard = (industry) => (
+    <IndustryStats
+      stats={industryAgg[industry]}
+      onLoad={() => setStatsFor((all) => (all.includes(industry) ? all : [...all, industry]))}
+      loading={statsFor.includes(industry) && pending > 0}
+      eta={unfilled.some((r) => r.industry === industry) ? fillEta(unfilled.filter((r) => r.industry === industry).length) : ''}
+      T={T}
+      lang={langApi.lang}
+    />
+  );
+  const screened = useMemo(() => {
+    if (!screener) return {};
+    const activeRules = rules.filter((r) => r.value !== '' && Number.isFinite(Number(r.value)));
+    const visible = new Set(visibleRows.map((r) => r.ticker));
+    const out = {};
+    for (const r of scored) {
+      if (!visible.has(r.ticker)) continue;
+      // Rows still waiting for metrics stay listed (they only load once on screen) until a rule can judge them
+      const undecided = (rule) => !r.loaded && !r.noSnapshot && rule.field !== 'price';
+      if (activeRules.length && !activeRules.every((rule) => undecided(rule) || passesRule(r, rule))) continue;
+      (out[flat ? '' : r.industry] ||= []).push(r);
+    }
+    for (const k of Object.keys(out)) out[k] = sortRows(out[k], sort, MARKET_LOCALE[market]);
+    return out;
+  }, [screener, flat, visibleRows, scored, rules, sort, market]);
+
+  // The export covers what is on screen: the screener's rule-filtered, sorted rows, else the search hits
+  const exportView = (format) => {
+    const rows = screener ? Object.values(screened).flat() : visibleRows;
+    const activeRules = screener ? rules.filter((r) => r.value !== '' && Number.isFinite(Number(r.value))) : [];
+    exportSnapshot(format, marketSnapshot(market, rows, profiles, { search: q.trim(), screener, rules: activeRules.map(({ field, op, value }) => ({ field, op, value: Number(value) })) }));
+  };
+  const headerActions = <HeaderNav langApi={langApi} />;
+  const modeToggle = (
+    <>
+      {!loading && !error && (
+        <select
+          defaultValue=""
+          onChange={(e) => { const v = e.target.value; e.target.value = ''; if (v) exportView(v); }}
+          title={T('market.exportHint')}
+          className="px-2 py-2 rounded-lg text-sm font-medium border bg-white hover:bg-gray-50 text-gray-700 border-gray-300"
+        >
+          <option value="">{T('market.export')}</option>
+          {SNAPSHOT_FORMATS.map((f) => <option key={f} value={f}>{f.toUpperCase()}</option>)}
+        </select>
+      )}
+      <Button variant={screener ? 'primary' : 'ghost'} onClick={() => setParam('mode', screener ? '' : 'screener')}>{T('market.screener')}</Button>
+      {screener && (
+        <Button variant="ghost" onClick={() => setParam('view', flat ? '' : 'flat')}>{flat ? T('market.byIndustry') : T('market.wholeMarket')}</Button>
+      )}
+      {tray.length > 0 && (
+        <>
+          <Button variant={tray.length >= 2 ? 'primary' : 'ghost'} disabled={tray.length < 2} onClick={() => onCompare(tray)}>
+            {T('market.compareCount', { count: tray.length })}
+          </Button>
+          <Button variant="ghost" onClick={() => setTray([])}>✕</Button>
+        </>
+      )}
+    </>
+  );
+
+  return (
+    <ShellLayout
+      lang={langApi.lang}
+      onLogoClick={onLogoClick}
+      headerActions={headerActions}
+      sidebar={<Sidebar market={market} setMarket={setMarket} q={q} setQ={setQ} T={T} lang={lang} />}
+    >
+      <div className="space-y-4">
+        <Card
+          title={`${marketInfo(market).flag || ''} ${localized(marketInfo(market).title, lang)}`.trim()}
+          subtitle={<>{T('market.browseHint')}{asOf && <span className="ms-1 text-gray-400">· {T('market.constituentsAsOf', { date: formatDate(asOf, lang, { dateStyle: 'medium', timeZone: 'UTC' }), version })}</span>}</>}
+          actions={modeToggle}
+        >
+          {error && <div className="text-sm text-red-600">{error} — {T('market.dataHint')} <code>public/data</code>.</div>}
+          {fx && <div className="mb-2"><FxNote from={currency} to={display.ccy} fx={fx} T={T} lang={langApi.lang} /></div>}
+          {!loading && getProvider().offline && allRows.some((r) => r.noSnapshot) && (
+            <div className="mb-2 text-xs text-amber-700">{T('offline.coverage', { count: allRows.filter((r) => !r.noSnapshot).length, total: allRows.length })}</div>
+          )}
+          {loading && <div className="text-sm text-gray-500">{T('common.loading')}</div>}
+          {!loading && !error && Object.keys(filtered).length === 0 && <div className="text-sm text-gray-500">{T('common.noResults')}</div>}
+          {elsewhere.length > 0 && (
+            <div className="mt-3">
+              <div className="text-xs text-gray-500 mb-1">{T('search.otherMarkets')}</div>
+              <div className="border rounded-lg divide-y">
+                {elsewhere.map((h) => (
+                  <button key={metricsKey(h.market, h.ticker)} onClick={() => onOpen(h)} className="w-full text-start px-3 py-1.5 text-sm hover:bg-gray-50">
+                    {marketInfo(h.market)?.flag} <span className="font-mono">{h.ticker}</span> · {companyLabel(h, lang)} <span className="text-xs text-gray-400">{h.industry}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          {screener && !loading && !error && (
+            <div className="mt-3 space-y-2">
+              <ScreenerFilters rules={rules} setRules={setRules} T={T} />
+              {pending > 0 && (
+                <div className="text-xs text-gray-500">
+                  {T('common.metricsRemaining', { count: pending })}
+                  {metered && ` · ${T('market.fillEta', { time: fillEta(pending), rpm: TWELVE_RPM })}`}
+                </div>
+              )}
+              {halted > 0 && <div className="text-xs text-amber-700">{T('market.metricsHalted', { count: halted })}</div>}
+              {fullEta && <div className="text-xs text-gray-500">{T('market.fullFillEta', { count: unfilled.length, time: fullEta })}</div>}
+            </div>
+          )}
+        </Card>
+
+        {screener && !loading && !error && Object.entries(screened).map(([industry, list]) => (
+          <ScreenerTable
+            key={industry || 'all'}
+            title={industry || T('market.wholeMarketCount', { count: list.length })}
+            rows={list}
+            currency={currency}
+            sort={sort}
+            setSort={setSort}
+            showIndustry={flat}
+            lists={lists}
+            stats={industry ? statsCard(industry) : null}
+            rowRef={observeRow}
+            onOpen={({ ticker, company, industry: ind }) => onOpen({ ticker, company, market, industry: ind })}
+            T={T}
+            lang={langApi.lang}
+          />
+        ))}
+
+        {!screener && !loading && !error && Object.entries(filtered).map(([industry, list]) => (
+          <IndustryTable
+            key={industry}
+            title={industry}
+            rows={list}
+            currency={currency}
+            onOpen={({ ticker, company }) => onOpen({ ticker, company, market, industry })}
+            lists={lists}
+            listItem={(s) => ({ market, ticker: s.ticker, company: s.companyName, industry })}
+            compare={compareFor(industry)}
+            stats={statsCard(industry)}
+            T={T}
+            lang={lang}
+          />
+        ))}
+      </div>
+    </ShellLayout>
+  );
+}
+
+function MarketStock({ params, onBack, langApi, onLogoClick }) {
+  const { ticker, market } = params;
+  const currency = MARKET_CCY[market];
+  const { T, lang } = langApi;
+  const [company, setCompany] = useState(params.company || '');
+  const [industry, setIndustry] = useState(params.industry || '');
+
+  useEffect(() => {
+    if (params.company && params.industry) return;
+    let stop = false;
+    findCompany(market, ticker).then((hit) => {
+      if (stop || !hit) return;
+      setCompany((c) => c || hit.companyName); setIndustry(hit.industry);
+    }).catch(() => {});
+    return () => { stop = true; };
+  }, [market, ticker, params.company, params.industry]);
+
+  const [profiles] = useWeightProfiles();
+  const profile = useMemo(() => resolveProfile(profiles, market, industry), [profiles, market, industry]);
+  const lists = usePortfolios();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = searchParams.get('tab') === 'financials' ? 'financials' : 'overview';
+  const setTab = (id) => setSearchParams(id === 'overview' ? {} : { tab: id }, { replace: true, state: location.state });
+  const [rawM, setM] = useState(null);
+  const m = useMemo(() => applyProfile(rawM, profile), [rawM, profile]);
+  // m stays in the market currency (AI, alerts, chart, peers); dm is what the details card shows
+  const display = useDisplayCurrency();
+  const fx = display.fxFor(currency);
+  const fxRate = fx?.rate ?? 1;
+  const dm = useMemo(() => scaleMoney(m, MONEY_FIELDS, fxRate === 1 ? null : { rate: fxRate }, display.ccy), [m, fxRate, display.ccy]);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState('');
+
+  const [aiBusy, setAiBusy] = useState(false);
+  const [ai, setAi] = useState(null);
+  const [aiCached, setAiCached] = useState(false);
+  const [aiError, setAiError] = useState('');
+  const engine = useEngineState();
+  const backend = aiBackend();
+  const aiFV = ai?.fv ?? null;
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const symbolWithSuffix = `${ticker}${MARKET_SUFFIX[market]}`;
+        setM(await getValuationMetricsCached(symbolWithSuffix, currency));
+      } catch (e) {
+        setErr(e || new Error('Failed'));
+      } finally {
         setLoading(false);
       }
-    })();
-  }, [ticker, market, currency]);
+    })();
+  }, [ticker, market, currency]);
+
+  const pct = useMemo(() => (m ? ((m.weighted - (m.price || 1)) / (m.price || 1)) * 100 : 0), [m]);
+  const valuationMsg = useMemo(() => {
+    if (!m) return '';
+    const v = verdictOf(pct, profile);
+    if (v === 'under') return T('stock.verdictUnder');
+    if (v === 'fair') return T('stock.verdictFair');
+    return T('stock.verdictOver');
+  }, [m, pct, profile, T]);
+
+  const aiFVShown = aiFV == null ? null : aiFV * fxRate;
+  const shownCcy = dm?.currency || currency;
+  const [scenarios] = useScenarios();
+  // The shared link is the stock page itself, whatever tab is open
+  const shareArgs = useMemo(() => ({
+    ticker, company, lang, profile,
+    url: `${typeof window !== 'undefined' ? window.location.origin : 'https://trueprice.cash'}${stockPath(market, ticker)}`,
+    m: dm, aiFV: aiFVShown, range: scenarioRange(dm, profile, scenarios),
+  }), [market, ticker, company, lang, dm, aiFVShown, profile, scenarios]);
+  const xUrl = useMemo(() => buildXShare(shareArgs), [shareArgs]);
+  // The card is drawn whenever its inputs change, not on click: Safari only lets navigator.share()
+  // run synchronously inside the click, and drawing awaits fonts and toBlob.
+  const [card, setCard] = useState(null); // null = drawing, false = failed, else { r, blob }
+  const [sharing, setSharing] = useState(false);
+  const [reportErr, setReportErr] = useState('');
+  useEffect(() => {
+    if (!dm) return;
+    let stop = false; const r = reportModel(shareArgs);
+    setCard(null);
+    drawReportCard(r).then((blob) => { if (!stop) setCard({ r, blob }); }).catch(() => { if (!stop) setCard(false); });
+    return () => { stop = true; };
+  }, [dm, shareArgs]);
+  function report(action) {
+    setReportErr('');
+    if (action === 'print') {
+      try { printReport(reportModel(shareArgs)); } catch { setReportErr(T('report.failed')); }
+      return;
+    }
+    if (!card || sharing) return;
+    if (action === 'image') { downloadBlob(reportFileName(card.r, 'png'), card.blob); return; }
+    setSharing(true);
+    shareReport(card.r, card.blob).catch(() => setReportErr(T('report.shareFailed'))).finally(() => setSharing(false));
+  }
+
+  const readAiCache = (lng) => {
+    const hit = cacheRead(aiAnalysisKey(`${ticker}${MARKET_SUFFIX[market]}`, m, profile, lng), null);
+    return hit && Date.now() - hit.at < AI_TTL_MS && parseAnalysis(hit) ? hit : null;
+  };
+  // The analysis is written in one language: on a language switch show the cached one for the new language, if any
+  if (ai && ai.lang !== lang) {
+    const hit = m && readAiCache(lang);
+    setAi(hit); setAiCached(!!hit);
+  }
+
+  async function askAI() {
+    if (!m || aiBusy) return;
+    setAiError('');
+
+    const symbolWithSuffix = `${ticker}${MARKET_SUFFIX[market]}`;
+    const cached = readAiCache(lang);
+    if (cached) { setAi(cached); setAiCached(true); return; }
+
+    setAiBusy(true); setAi(null); setAiCached(false);
+    try {
+      const fin = await getFinancials(symbolWithSuffix, 'annual').catch(() => null);
+      const res = await runAnalysis({ m, profile, fin, lang, company, ticker });
+      setAi(res);
+      if (res.source !== 'local') cacheWrite(aiAnalysisKey(symbolWithSuffix, m, profile, lang), { at: Date.now(), ...res });
+    } catch {
+      setAiError(T('common.somethingWentWrong'));
+    } finally { setAiBusy(false); }
+  }
+
+  const showComparison = aiFV != null && m;
+  const diffPct = showComparison ? ((aiFV - m.weighted) / (m.weighted || 1)) * 100 : 0;
+  const equalWithin = Math.abs(diffPct) < 0.0001;
+  const compColor = equalWithin ? 'text-blue-600' : (aiFV < (m?.weighted || 0) ? 'text-red-600' : 'text-green-600');
+
+  const headerActions = <HeaderNav langApi={langApi} onBack={onBack} />;
+
+  return (
+    <ShellLayout
+      lang={langApi.lang}
+      onLogoClick={onLogoClick}
+      headerActions={headerActions}
+      sidebar={
+        <div className="space-y-4">
+          <Card title={T('stock.overview')}>
+            <div className="space-y-2">
+              <div className="text-lg font-semibold">{company || ticker}</div>
+              <div className="text-sm text-gray-500">{ticker}</div>
+              <AddToList item={{ market, ticker, company, industry }} api={lists} T={T} />
+            </div>
+          </Card>
+          <StockAlerts market={market} ticker={ticker} company={company} industry={industry} m={m} T={T} lang={lang} />
+        </div>
+      }
+    >
+      <div className="space-y-4">
+        <div className="inline-flex items-center rounded-lg border bg-white shadow-sm overflow-hidden">
+          {[['overview', T('stock.overview')], ['financials', T('common.financials')]].map(([id, label]) => (
+            <button key={id} onClick={() => setTab(id)} className={`px-3 py-1.5 text-sm font-medium ${tab === id ? 'bg-gray-900 text-white' : 'text-gray-700 hover:bg-gray-50'}`}>{label}</button>
+          ))}
+        </div>
+
+        {tab === 'financials' && (
+          <FinancialsPanel symbol={`${ticker}${MARKET_SUFFIX[market]}`} ticker={ticker} currency={currency} T={T} lang={lang} />
+        )}
+
+        {tab === 'overview' && <Card title={`📋 ${T('stock.details')}`}>
+          {loading && <div className="text-center font-medium py-6">{T('stock.loadingDetails')}</div>}
+          {err && <div className="text-red-600 text-sm">{errorText(err, T)}</div>}
+          {!loading && !err && m && (
+            <div className="relative" aria-busy={aiBusy}>
+              {aiBusy && (
+                <div className="absolute inset-0 bg-white/40 backdrop-blur-[1px] z-10 pointer-events-auto" aria-hidden="true">
+                  <div className="absolute left-0 top-0 h-1 w-full overflow-hidden bg-gray-200" role="progressbar" aria-label={T('stock.aiThinking')}>
+                    <div className="h-full w-1/3 bg-gray-800" style={{ animation: 'trueprice-progress 1.2s ease-in-out infinite' }} />
+                  </div>
+                </div>
+              )}
+
+              <div className="grid lg:grid-cols-2 gap-6">
+                {/* Left: Pricing + Weighted FV */}
+                <div className="space-y-3">
+                  <div className="flex items-end justify-between">
+                    <div>
+                      <div className="text-2xl font-bold">{formatMoney(dm.price, dm.currency, lang)}</div>
+                      <div className="text-xs text-gray-500">{valuationMsg}</div>
+                      {fx && <FxNote from={currency} to={display.ccy} fx={fx} T={T} lang={lang} />}
+                    </div>
+                    <div className="text-right">
+                      <div className="text-sm text-gray-500">{T('stock.weightedFairValue')}</div>
+                      <div className={`text-xl font-semibold ${pctColor(((m.weighted - m.price) / (m.price || 1)) * 100, profile)}`}>
+                        {formatMoney(dm.weighted, shownCcy, lang)}
+                      </div>
+                      <div className="text-xs text-gray-400" title={formulaText(profile)}>{profile.name}</div>
+                    </div>
+                  </div>
+
+                  {/* Grouped Fair Value Card */}
+                  <Card title={T('stock.stockFairValue')}>
+                    <div className="grid grid-cols-2 gap-3">
+                      <div className="rounded-lg border p-3">
+                        <div className="text-xs text-gray-500">{T('stock.enterpriseValue')}</div>
+                        <div className="text-lg font-medium">{formatMoney(dm.fairEV, shownCcy, lang)}</div>
+                      </div>
+                      <div className="rounded-lg border p-3">
+                        <div className="text-xs text-gray-500">{T('stock.earningValue')}</div>
+                        <div className="text-lg font-medium">{formatMoney(dm.fairPE, shownCcy, lang)}</div>
+                      </div>
+                      <div className="rounded-lg border p-3">
+                        <div className="text-xs text-gray-500">{T('stock.salesValue')}</div>
+                        <div className="text-lg font-medium">{formatMoney(dm.fairPS, shownCcy, lang)}</div>
+                      </div>
+                      <div className="rounded-lg border p-3">
+                        <div className="text-xs text-gray-500">{T('stock.bookValue')}</div>
+                        <div className="text-lg font-medium">{formatMoney(dm.bookValue, shownCcy, lang)}</div>
+                      </div>
+                    </div>
+                    {m.missing?.length > 0 && (
+                      <div className="mt-2 text-xs text-amber-700">
+                        {T('stock.missingData')} {formatList(m.missing, lang)}
+                      </div>
+                    )}
+                  </Card>
+
+                  <ValuationModels m={dm} profile={profile} T={T} lang={lang} ccy={shownCcy} />
+
+                  <div className="flex items-center gap-2">
+                    <Button onClick={askAI} disabled={aiBusy && true /* avoid rapid taps */}>{T('stock.askAi')}</Button>
+                    {!backend && (
+                      <span className="text-xs text-amber-700">
+                        {T('stock.localApproximation')}
+                      </span>
+                    )}
+                  </div>
+                  {aiBusy && <EngineProgress state={engine} T={T} />}
+
+                  {/* AI result OR one generic error */}
+                  {ai && (
+                    <AIAnalysis a={ai} fvShown={aiFVShown} ccy={shownCcy} cached={aiCached} diffPct={diffPct} compColor={compColor} T={T} lang={lang} />
+                  )}
+                  {aiFV == null && aiError && (
+                    <div className="mt-2 text-sm text-red-600" role="alert">
+                      {aiError}
+                    </div>
+                  )}
+
+                  <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3">
+                    ⚠️ <strong>{T('stock.disclaimer')}</strong> {T('stock.notAdvice')}
+                  </div>
+                </div>
+
+                {/* Right: Indicators */}
+                <div className="space-y-3">
+                  <Card title={T('stock.financialIndicators')}>
+                    <ul className="space-y-2 text-sm">
+                      <li className={`${bandColor(m.grossMargin, 20, 40)}`}>
+                        {T('stock.grossMargin')} <Pct n={m.grossMargin} lang={lang} />
+                      </li>
+                      <li className={`${bandColor(m.opMargin, 10, 20)}`}>
+                        {T('stock.operatingMargin')} <Pct n={m.opMargin} lang={lang} />
+                      </li>
+                      <li className={`${bandColor(m.netMargin, 5, 15)}`}>
+                        {T('stock.netMargin')} <Pct n={m.netMargin} lang={lang} />
+                      </li>
+                    </ul>
+                  </Card>
+
+                  <Card title={T('stock.share')}>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <Button onClick={() => report('image')} disabled={!card} variant="ghost">{card === null ? T('report.preparing') : `⬇ ${T('report.downloadImage')}`}</Button>
+                      <Button onClick={() => report('print')} variant="ghost">🖨 {T('report.print')}</Button>
+                      {typeof navigator !== 'undefined' && navigator.share && (
+                        <Button onClick={() => report('share')} disabled={!card || sharing} variant="ghost">{card === null ? T('report.preparing') : `📤 ${T('report.share')}`}</Button>
+                      )}
+                      <Button as="a" href={xUrl} target="_blank" rel="noopener noreferrer" variant="ghost">{T('share.onX')}</Button>
+                    </div>
+                    {(reportErr || card === false) && <div className="mt-2 text-xs text-red-600">{reportErr || T('report.imageFailed')}</div>}
+                  </Card>
+                </div>
+              </div>
+            </div>
+          )}
+        </Card>}
+
+        {tab === 'overview' && !loading && !err && m && (
+          <ScenarioPanel m={dm} profile={profile} T={T} lang={lang} ccy={shownCcy} />
+        )}
+
+        {tab === 'overview' && !loading && !err && m && (
+          <StockChat symbol={`${ticker}${MARKET_SUFFIX[market]}`} ticker={ticker} company={company} m={m} profile={profile} T={T} lang={lang} />
+        )}
+
+        {tab === 'overview' && !loading && !err && m && (
+          <PriceHistoryChart symbol={`${ticker}${MARKET_SUFFIX[market]}`} m={m} profile={profile} T={T} lang={lang} />
+        )}
+
+        {tab === 'overview' && !loading && !err && m && (
+          <PeerPanel market={market} ticker={ticker} industry={industry} m={m} profile={profile} T={T} lang={lang} />
+        )}
+      </div>
+    </ShellLayout>
+  );
+}
+
+/* ========================== Watchlists + portfolios ========================== */
+// A list is either a watchlist (tickers only) or a portfolio (tickers with quantity and cost
+// basis per share, in the stock's own currency). Totals are kept per currency, or in the display
+// currency once every row has a rate for it.
+const LISTS_KEY = 'lists_v1';
+const LIST_KIND = { WATCH: 'watchlist', PORTFOLIO: 'portfolio' };
+const loadLists = () => { const v = cacheRead(LISTS_KEY, []); return Array.isArray(v) ? v : []; };
+function usePortfolios() {
+  const [lists, setLists] = useStoredState(LISTS_KEY, loadLists);
+  const patchList = (id, fn) => setLists((all) => all.map((l) => (l.id === id ? fn(l) : l)));
+  return {
+    lists,
+    setLists,
+    createList: (name, kind = LIST_KIND.WATCH) => { const l = { id: newId('l'), name, kind, items: [] }; setLists((all) => [...all, l]); return l.id; },
+    renameList: (id, name) => patchList(id, (l) => ({ ...l, name })),
+    deleteList: (id) => setLists((all) => all.filter((l) => l.id !== id)),
+    addItem: (id, { market, ticker, company, industry }) => patchList(id, (l) => (
+      l.items.some((it) => it.market === market && it.ticker === ticker) ? l
+        : { ...l, items: [...l.items, { market, ticker, company: company || '', industry: industry || '', qty: 0, cost: 0 }] }
+    )),
+    updateItem: (id, market, ticker, patch) => patchList(id, (l) => ({ ...l, items: l.items.map((it) => (it.market === market && it.ticker === ticker ? { ...it, ...patch } : it)) })),
+    removeItem: (id, market, ticker) => patchList(id, (l) => ({ ...l, items: l.items.filter((it) => !(it.market === market && it.ticker === ticker)) })),
+  };
+}
+/* Last known price: fresh metrics first, then the market price cache (any age). */
+const lastPrice = (item, m) => {
+  if (m?.price > 0) return m.price;
+  const p = cacheRead(PRICE_CACHE_KEY(item.market), { prices: {} }).prices?.[`${item.ticker}${MARKET_SUFFIX[item.market]}`];
+  return Number.isFinite(p) ? p : null;
+};
+function holdingRow(item, m, profile) {
+  const price = lastPrice(item, m);
+  const weighted = m ? weightedFairValue(m, profile.weights) : null;
+  const qty = num0(item.qty), cost = num0(item.cost);
+  const value = price != null ? qty * price : null;
+  const pnl = value != null && cost > 0 ? value - qty * cost : null;
+  const upside = price && weighted ? ((weighted - price) / price) * 100 : null;
+  return { ...item, currency: MARKET_CCY[item.market], price, weighted, value, pnl, pnlPct: pnl != null ? (pnl / (qty * cost)) * 100 : null, upside, profile };
+}
+/* Per-currency totals; aggregate upside is value-weighted for portfolios, equal-weighted for watchlists. */
+function listTotals(rows, kind) {
+  const by = {};
+  for (const r of rows) {
+    const t = (by[r.currency] ||= { currency: r.currency, value: 0, cost: 0, fvValue: 0, pricedValue: 0, upsides: [], profiles: new Map() });
+    if (r.value != null) { t.value += r.value; if (num0(r.cost) > 0) t.cost += num0(r.qty) * num0(r.cost); }
+    if (r.upside != null) {
+      t.upsides.push(r.upside); t.profiles.set(r.profile.id, r.profile);
+      if (r.value != null && r.weighted != null) { t.fvValue += num0(r.qty) * r.weighted; t.pricedValue += r.value; }
+    }
+  }
+  return Object.values(by).map((t) => ({
+    ...t,
+    pnl: t.cost > 0 ? t.value - t.cost : null,
+    pnlPct: t.cost > 0 ? ((t.value - t.cost) / t.cost) * 100 : null,
+    upside: kind === LIST_KIND.PORTFOLIO && t.pricedValue > 0
+      ? ((t.fvValue - t.pricedValue) / t.pricedValue) * 100
+      : t.upsides.length ? t.upsides.reduce((a, b) => a + b, 0) / t.upsides.length : null,
+    // Verdict thresholds are per profile: the total has one only when every valued holding shares it
+    profile: t.profiles.size === 1 ? [...t.profiles.values()][0] : null,
+  }));
+}
+
+/* Compact "add to list" picker used by tables and the stock page */
+function AddToList({ item, api, T }) {
+  const inLists = api.lists.filter((l) => l.items.some((it) => it.market === item.market && it.ticker === item.ticker));
+  const onChange = (e) => {
+    const v = e.target.value; e.target.value = '';
+    if (!v) return;
+    if (v === '__new_watch' || v === '__new_portfolio') {
+      const kind = v === '__new_watch' ? LIST_KIND.WATCH : LIST_KIND.PORTFOLIO;
+      const name = window.prompt(kind === LIST_KIND.WATCH ? T('lists.watchlistName') : T('lists.portfolioName'));
+      if (!name?.trim()) return;
+      const id = api.createList(name.trim(), kind); api.addItem(id, item);
+    } else api.addItem(v, item);
+  };
+  return (
+    <select
+      defaultValue=""
+      onChange={onChange}
+      title={inLists.map((l) => l.name).join(', ')}
+      className={`px-2 py-2 rounded-lg text-sm font-medium border bg-white hover:bg-gray-50 ${inLists.length ? 'text-gray-900 border-gray-900' : 'text-gray-700 border-gray-300'}`}
+    >
+      <option value="">{inLists.length ? `★ ${inLists.length}` : T('lists.addToList')}</option>
+      {api.lists.map((l) => <option key={l.id} value={l.id}>{l.kind === LIST_KIND.PORTFOLIO ? '💼' : '👁'} {l.name}</option>)}
+      <option value="__new_watch">{T('lists.newWatchlist')}</option>
+      <option value="__new_portfolio">{T('lists.newPortfolio')}</option>
+    </select>
+  );
+}
+
+function ListsPage({ langApi, onLogoClick, onBack }) {
+  const { T, lang } = langApi;
+  const { listId } = useParams();
+  const navigate = useNavigate();
+  const api = usePortfolios();
+  const [profiles] = useWeightProfiles();
+  const list = api.lists.find((l) => l.id === listId) || api.lists[0] || null;
+  const items = useMemo(() => list?.items || [], [list]);
+  const { metrics, pending } = useLazyMetrics(items);
+  const isPortfolio = list?.kind === LIST_KIND.PORTFOLIO;
+  const display = useDisplayCurrency();
+  // Shown rows are converted to the display currency; the qty/cost inputs edit the stored (native) item.
+  const rows = useMemo(() => items.map((it) => {
+    const r = holdingRow(it, metrics[metricsKey(it.market, it.ticker)], resolveProfile(profiles, it.market, it.industry));
+    return { ...scaleMoney(r, ['price', 'weighted', 'value', 'pnl', 'cost'], display.fxFor(r.currency), display.ccy), item: it };
+  }), [items, metrics, profiles, display]);
+  const totals = useMemo(() => listTotals(rows, list?.kind), [rows, list]);
+  const fxUsed = [...new Set(items.map((it) => MARKET_CCY[it.market]))].map((c) => [c, display.fxFor(c)]).filter(([, fx]) => fx);
+
+  const money = (v, ccy) => (v == null ? <span className="text-gray-400">—</span> : formatMoney(v, ccy, lang));
+  const signed = (v) => (v == null ? 'text-gray-400' : v >= 0 ? 'text-green-600' : 'text-red-600');
+  const create = (kind) => {
+    const name = window.prompt(kind === LIST_KIND.WATCH ? T('lists.watchlistName') : T('lists.portfolioName'));
+    if (name?.trim()) navigate(`/lists/${api.createList(name.trim(), kind)}`);
+  };
+
+  const sidebar = (
+    <Card title={T('lists.lists')}>
+      <div className="space-y-1">
+        {api.lists.map((l) => (
+          <button
+            key={l.id}
+            onClick={() => navigate(`/lists/${l.id}`)}
+            className={`w-full text-left px-2 py-1.5 rounded-lg text-sm ${list?.id === l.id ? 'bg-gray-900 text-white' : 'hover:bg-gray-50'}`}
+          >
+            {l.kind === LIST_KIND.PORTFOLIO ? '💼' : '👁'} {l.name} <span className="opacity-60">({l.items.length})</span>
+          </button>
+        ))}
+        {!api.lists.length && <div className="text-xs text-gray-500">{T('lists.noListsYet')}</div>}
+      </div>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <Button variant="subtle" onClick={() => create(LIST_KIND.WATCH)}>{T('lists.addWatchlist')}</Button>
+        <Button variant="subtle" onClick={() => create(LIST_KIND.PORTFOLIO)}>{T('lists.addPortfolio')}</Button>
+      </div>
+    </Card>
+  );
+
+  return (
+    <ShellLayout lang={lang} onLogoClick={onLogoClick} headerActions={<HeaderNav langApi={langApi} onBack={onBack} />} sidebar={sidebar}>
+      {!list && (
+        <Card title={T('lists.title')}>
+          <div className="text-sm text-gray-500">{T('lists.emptyHint')}</div>
+        </Card>
+      )}
+      {list && (
+        <div className="space-y-4">
+          <Card
+            title={`${isPortfolio ? '💼' : '👁'} ${list.name}`}
+            subtitle={isPortfolio ? T('lists.portfolio') : T('lists.watchlist')}
+            actions={
+              <>
+                <Button variant="ghost" onClick={() => { const n = window.prompt(T('lists.newName'), list.name); if (n?.trim()) api.renameList(list.id, n.trim()); }}>{T('lists.rename')}</Button>
+                <Button variant="danger" onClick={() => { if (window.confirm(T('lists.confirmDelete'))) { api.deleteList(list.id); navigate('/lists'); } }}>{T('common.delete')}</Button>
+              </>
+            }
+          >
+            <div className="grid sm:grid-cols-2 gap-3">
+              {totals.map((t) => (
+                <div key={t.currency} className="rounded-lg border p-3 text-sm space-y-1">
+                  <div className="text-xs text-gray-500">{ccyName(t.currency, lang)}</div>
+                  {isPortfolio && <div>{T('lists.marketValue')} <strong>{money(t.value, t.currency)}</strong></div>}
+                  {isPortfolio && (
+                    <div className={signed(t.pnl)}>
+                      {T('lists.unrealisedPnl')} {money(t.pnl, t.currency)} {t.pnlPct != null && <>(<Pct n={t.pnlPct} lang={lang} />)</>}
+                    </div>
+                  )}
+                  <div className={t.upside == null ? 'text-gray-400' : t.profile ? pctColor(t.upside, t.profile) : 'text-gray-700'}>
+                    {T('lists.totalUpside')} {t.upside != null ? <Pct n={t.upside} lang={lang} /> : '—'}
+                  </div>
+                </div>
+              ))}
+            </div>
+            {fxUsed.length > 0 && (
+              <div className="mt-2 space-x-3">
+                {fxUsed.map(([c, fx]) => <FxNote key={c} from={c} to={display.ccy} fx={fx} T={T} lang={lang} />)}
+              </div>
+            )}
+            {!items.length && <div className="text-sm text-gray-500">{T('lists.empty')}</div>}
+            {pending > 0 && <div className="mt-2 text-xs text-gray-500">{T('common.metricsRemaining', { count: pending })}</div>}
+          </Card>
+
+          {items.length > 0 && (
+            <Card>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="text-left font-medium text-gray-600 py-2 px-2">{T('table.ticker')}</th>
+                      <th className="text-left font-medium text-gray-600 py-2 px-2">{T('table.company')}</th>
+                      {isPortfolio && <th className="text-right font-medium text-gray-600 py-2 px-2">{T('lists.qty')}</th>}
+                      {isPortfolio && <th className="text-right font-medium text-gray-600 py-2 px-2">{T('lists.costShare')}</th>}
+                      <th className="text-right font-medium text-gray-600 py-2 px-2">{T('table.price')}</th>
+                      {isPortfolio && <th className="text-right font-medium text-gray-600 py-2 px-2">{T('lists.value')}</th>}
+                      {isPortfolio && <th className="text-right font-medium text-gray-600 py-2 px-2">{T('lists.pnl')}</th>}
+                      <th className="text-right font-medium text-gray-600 py-2 px-2">{T('lists.weightedFV')}</th>
+                      <th className="text-right font-medium text-gray-600 py-2 px-2">{T('lists.upside')}</th>
+                      <th className="py-2 px-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((r) => (
+                      <tr key={metricsKey(r.market, r.ticker)} className="border-t">
+                        <td className="py-2 px-2 font-mono">{r.ticker} <span className="text-xs text-gray-400">{r.market}</span></td>
+                        <td className="py-2 px-2">{r.company}</td>
+                        {isPortfolio && (
+                          <td className="py-2 px-2 text-right">
+                            <input type="number" min={0} value={r.item.qty} onChange={(e) => api.updateItem(list.id, r.market, r.ticker, { qty: Number(e.target.value) || 0 })} className="w-20 border rounded px-1.5 py-1 text-right" />
+                          </td>
+                        )}
+                        {isPortfolio && (
+                          <td className="py-2 px-2 text-right">
+                            <input type="number" min={0} step="0.01" value={r.item.cost} onChange={(e) => api.updateItem(list.id, r.market, r.ticker, { cost: Number(e.target.value) || 0 })} title={ccyName(MARKET_CCY[r.market], lang)} className="w-24 border rounded px-1.5 py-1 text-right" />
+                          </td>
+                        )}
+                        <td className="py-2 px-2 text-right whitespace-nowrap">{money(r.price, r.currency)}</td>
+                        {isPortfolio && <td className="py-2 px-2 text-right whitespace-nowrap">{money(r.value, r.currency)}</td>}
+                        {isPortfolio && <td className={`py-2 px-2 text-right whitespace-nowrap ${signed(r.pnl)}`}>{money(r.pnl, r.currency)}</td>}
+                        <td className="py-2 px-2 text-right whitespace-nowrap">{money(r.weighted, r.currency)}</td>
+                        <td className={`py-2 px-2 text-right ${r.upside != null ? pctColor(r.upside, r.profile) : 'text-gray-400'}`}>{r.upside != null ? <Pct n={r.upside} lang={lang} /> : '—'}</td>
+                        <td className="py-2 px-2 text-right whitespace-nowrap">
+                          <Button variant="subtle" onClick={() => navigate(stockPath(r.market, r.ticker), { state: { company: r.company, industry: r.industry } })}>{T('common.open')}</Button>
+                          <Button variant="ghost" className="ml-1" onClick={() => api.removeItem(list.id, r.market, r.ticker)}>✕</Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+          )}
+        </div>
+      )}
+    </ShellLayout>
+  );
+}
+
+/* ========================== Comparison ========================== */
+// 2–5 tickers from either market side by side. The selection tray is persisted so picks survive
+// switching markets; the grid itself is addressed by /compare?s=SA:2280,US:AAPL.
+const COMPARE_KEY = 'compare_v1';
+const COMPARE_MAX = 5;
+const loadCompare = () => { const v = cacheRead(COMPARE_KEY, []); return Array.isArray(v) ? v.slice(0, COMPARE_MAX) : []; };
+const useCompareTray = () => useStoredState(COMPARE_KEY, loadCompare);
+const comparePath = (items) => `/compare?s=${items.map((it) => metricsKey(it.market, it.ticker)).join(',')}`;
+const parseCompare = (s) => (s || '').split(',')
+  .map((k) => { const [market, ticker] = k.split(':'); return { market, ticker: (ticker || '').toUpperCase() }; })
+  .filter((it, i, all) => MARKET[it.market] && it.ticker && all.findIndex((o) => o.market === it.market && o.ticker === it.ticker) === i)
+  .slice(0, COMPARE_MAX);
+
+/* Amount rows are ranked by their ratio to the stock's own price, so best/worst stays meaningful
+   when SAR and USD tickers sit in the same grid. Higher is better for every ranked row. */
+const COMPARE_ROWS = [
+  { id: 'price', label: 'metric.price', money: true, rank: false },
+  { id: 'fairEV', label: 'metric.fairEV', money: true },
+  { id: 'fairPE', label: 'metric.fairPE', money: true },
+  { id: 'fairPS', label: 'metric.fairPS', money: true },
+  { id: 'weighted', label: 'metric.weighted', money: true },
+  { id: 'upside', label: 'metric.upside', pct: true },
+  { id: 'bookValue', label: 'metric.bookValue', money: true },
+  { id: 'grossMargin', label: 'metric.grossMargin', pct: true },
+  { id: 'opMargin', label: 'metric.opMargin', pct: true },
+  { id: 'netMargin', label: 'metric.netMargin', pct: true },
+];
+const compareScore = (col, row) => {
+  const v = col[row.id];
+  if (!col.loaded || !Number.isFinite(v) || (row.money && !v)) return null;
+  return row.money ? (col.price > 0 ? v / col.price : null) : v;
+};
+function compareExtremes(cols, row) {
+  if (row.rank === false) return {};
+  const scored = cols.map((c) => compareScore(c, row)).filter((s) => s != null);
+  if (scored.length < 2) return {};
+  const best = Math.max(...scored), worst = Math.min(...scored);
+  return best === worst ? {} : { best, worst };
+}
+
+function CompareSearch({ all, selected, onAdd, T, lang }) {
+  const [q, setQ] = useState('');
+  const index = useMemo(() => buildSearchIndex(all), [all]);
+  const hits = useMemo(() => searchCompanies(index, q)
+    .filter((c) => !selected.some((s) => s.market === c.market && s.ticker === c.ticker)).slice(0, 8), [index, selected, q]);
+  const full = selected.length >= COMPARE_MAX;
+  return (
+    <div>
+      <input
+        value={q}
+        onChange={(e) => setQ(e.target.value)}
+        disabled={full}
+        placeholder={full ? T('compare.maxStocks', { count: COMPARE_MAX }) : T('compare.addStock')}
+        className="w-full border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-gray-300 disabled:bg-gray-50"
+      />
+      {hits.length > 0 && (
+        <div className="mt-1 border rounded-lg divide-y bg-white">
+          {hits.map((c) => (
+            <button key={metricsKey(c.market, c.ticker)} onClick={() => { onAdd(c); setQ(''); }} className="w-full text-left px-3 py-1.5 text-sm hover:bg-gray-50">
+              <span className="font-mono">{c.ticker}</span> <span className="text-xs text-gray-400">{c.market}</span> · {companyLabel(c, lang)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ComparePage({ langApi, onLogoClick, onBack }) {
+  const { T, lang } = langApi;
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [, setTray] = useCompareTray();
+  const all = useAllCompanies();
+  const [profiles] = useWeightProfiles();
+  const picked = useMemo(() => parseCompare(searchParams.get('s')), [searchParams]);
+  const items = useMemo(() => picked.map((p) => ({ ...p, ...all.find((c) => c.market === p.market && c.ticker === p.ticker) })), [picked, all]);
+  const { metrics, pending } = useLazyMetrics(picked);
+  const display = useDisplayCurrency();
+  const cols = useMemo(() => items.map((it) => {
+    const m = metrics[metricsKey(it.market, it.ticker)];
+    const r = screenerRow({ ...it, companyName: it.company }, m, resolveProfile(profiles, it.market, it.industry));
+    const native = { ...r, fairEV: m?.fairEV, fairPE: m?.fairPE, fairPS: m?.fairPS, currency: MARKET_CCY[it.market] };
+    return scaleMoney(native, MONEY_FIELDS, display.fxFor(native.currency), display.ccy);
+  }), [items, metrics, profiles, display]);
+  const currencies = [...new Set(cols.map((c) => c.currency))];
+
+  // The URL is the source of truth here; the tray follows it so the market pages show the same picks.
+  const setItems = (next) => { setTray(next.map(({ market, ticker, company, industry }) => ({ market, ticker, company, industry }))); navigate(comparePath(next), { replace: true }); };
+  const cell = (col, row, { best, worst }) => {
+    const v = col[row.id];
+    if (!col.loaded && row.id !== 'price') return <span className="text-gray-300">…</span>;
+    if (!Number.isFinite(v) || (row.money && !v)) return <span className="text-gray-400">—</span>;
+    const s = compareScore(col, row);
+    const hl = s != null && s === best ? 'bg-green-50 text-green-700 font-medium' : s != null && s === worst ? 'bg-red-50 text-red-700' : '';
+    return (
+      <span className={`inline-block rounded px-1.5 ${hl}`}>
+        {row.pct ? <Pct n={v} lang={lang} /> : formatMoney(v, col.currency, lang)}
+        {row.money && row.id !== 'price' && col.price > 0 && <span className="block text-[11px] text-gray-400">×{formatNumber(v / col.price, lang, 2)} {T('compare.ofPrice')}</span>}
+      </span>
+    );
+  };
+
+  const sidebar = (
+    <Card title={T('compare.selectedStocks')}>
+      <CompareSearch all={all} selected={picked} onAdd={(c) => setItems([...items, c])} T={T} lang={lang} />
+      <div className="mt-3 space-y-1">
+        {items.map((it) => (
+          <div key={metricsKey(it.market, it.ticker)} className="flex items-center justify-between text-sm">
+            <span><span className="font-mono">{it.ticker}</span> <span className="text-xs text-gray-400">{it.market}</span></span>
+            <Button variant="ghost" onClick={() => setItems(items.filter((o) => o !== it))}>✕</Button>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+
+  return (
+    <ShellLayout lang={lang} onLogoClick={onLogoClick} headerActions={<HeaderNav langApi={langApi} onBack={onBack} />} sidebar={sidebar}>
+      <Card
+        title={T('compare.title')}
+        subtitle={currencies.length > 1
+          ? T('compare.currencyNote')
+          : T('compare.colourNote')}
+      >
+        {picked.length < 2 && <div className="text-sm text-gray-500">{T('compare.pickStocks')}</div>}
+        {pending > 0 && <div className="mb-2 text-xs text-gray-500">{T('common.metricsRemaining', { count: pending })}</div>}
+        {picked.length >= 2 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="py-2 px-2"></th>
+                  {cols.map((c) => (
+                    <th key={metricsKey(c.market, c.ticker)} className="text-end font-medium text-gray-600 py-2 px-2 align-bottom">
+                      <button onClick={() => navigate(stockPath(c.market, c.ticker), { state: { company: c.company, industry: c.industry } })} className="hover:underline">
+                        <span className="font-mono">{c.ticker}</span> <span className="text-xs text-gray-400">{c.market}</span>
+                      </button>
+                      <div className="text-xs font-normal text-gray-500 truncate max-w-[10rem] ms-auto">{companyLabel(c, lang)}</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {COMPARE_ROWS.map((row) => {
+                  const ext = compareExtremes(cols, row);
+                  return (
+                    <tr key={row.id} className="border-t">
+                      <td className="py-2 px-2 text-gray-700 whitespace-nowrap">{T(row.label)}</td>
+                      {cols.map((c) => <td key={metricsKey(c.market, c.ticker)} className="py-2 px-2 text-end whitespace-nowrap align-top">{cell(c, row, ext)}</td>)}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </ShellLayout>
+  );
+}
+
+/* ========================== Alerts ========================== */
+// Rules are checked whenever fresh prices arrive (useMarketData, or the background watcher for the
+// tickers that have rules) and whenever metrics are re-fetched (getValuationMetricsCached). Each
+// rule is edge-triggered against its last observation in ALERT_STATE_KEY, so a condition that
+// stays true fires once; the first observation only sets the baseline.
+const ALERTS_KEY = 'alerts_v1';
+const ALERT_STATE_KEY = 'alerts_state_v1';
+const ALERT_INBOX_KEY = 'alerts_inbox_v1';
+const ALERT_INBOX_MAX = 200;
+const ALERT_CHECK_MS = PRICE_TTL_MS; // same pace as the market price cache
+const ALERT_TYPES = [
+  { id: 'price_cross', label: 'alerts.type.price_cross' },
+  { id: 'upside_above', label: 'alerts.type.upside_above' },
+  { id: 'verdict', label: 'alerts.type.verdict' },
+];
+const VERDICTS = {
+  under: { label: 'verdict.under' },
+  fair: { label: 'verdict.fair' },
+  over: { label: 'verdict.over' },
+};
+const loadAlerts = () => { const v = cacheRead(ALERTS_KEY, []); return Array.isArray(v) ? v : []; };
+const loadInbox = () => { const v = cacheRead(ALERT_INBOX_KEY, []); return Array.isArray(v) ? v : []; };
+const useAlerts = () => useStoredState(ALERTS_KEY, loadAlerts);
+const useAlertInbox = () => useStoredState(ALERT_INBOX_KEY, loadInbox);
+
+function alertObservation(rule, price, m, prev) {
+  const profile = resolveProfile(loadProfiles(), rule.market, rule.industry);
+  const weighted = m ? weightedFairValue(m, profile.weights) : 0;
+  const upside = price > 0 && weighted > 0 ? ((weighted - price) / price) * 100 : null;
+  // A price-only refresh without cached metrics keeps the previous upside/verdict
+  return {
+    price: price > 0 ? price : prev?.price ?? null,
+    upside: upside ?? prev?.upside ?? null,
+    verdict: upside != null ? verdictOf(upside, profile) : prev?.verdict ?? null,
+  };
+}
+function alertFires(rule, prev, cur) {
+  if (!prev) return false;
+  const v = Number(rule.value);
+  if (rule.type === 'price_cross') {
+    return prev.price != null && cur.price != null && ((prev.price < v && cur.price >= v) || (prev.price > v && cur.price <= v));
+  }
+  if (rule.type === 'upside_above') return prev.upside != null && cur.upside != null && prev.upside <= v && cur.upside > v;
+  if (rule.type === 'verdict') {
+    return !!prev.verdict && !!cur.verdict && prev.verdict !== cur.verdict && cur.verdict === rule.to && (!rule.from || rule.from === prev.verdict);
+  }
+  return false;
+}
+function alertText(rule, cur, lang) {
+  const T = (key, params) => translate(lang, key, params);
+  const name = rule.company ? `${rule.company} (${rule.ticker})` : rule.ticker;
+  const ccy = MARKET_CCY[rule.market];
+  const price = formatMoney(cur.price ?? NaN, ccy, lang);
+  if (rule.type === 'price_cross') {
+    return { title: name, body: T('alerts.body.priceCross', { value: formatMoney(Number(rule.value), ccy, lang), price }) };
+  }
+  if (rule.type === 'upside_above') {
+    return { title: name, body: T('alerts.body.upsideAbove', { upside: formatPct(cur.upside, lang, 1), threshold: formatPct(Number(rule.value), lang, 0), price }) };
+  }
+  return { title: name, body: T('alerts.body.verdict', { verdict: T(VERDICTS[cur.verdict].label), price }) };
+}
+function describeRule(rule, lang) {
+  const T = (key, params) => translate(lang, key, params);
+  if (rule.type === 'price_cross') return T('alerts.rule.priceCross', { price: formatMoney(Number(rule.value), MARKET_CCY[rule.market], lang) });
+  if (rule.type === 'upside_above') return T('alerts.rule.upsideAbove', { pct: formatPct(Number(rule.value), lang, 0) });
+  return T('alerts.rule.verdict', { from: rule.from ? T(VERDICTS[rule.from].label) : T('alerts.any'), to: T(VERDICTS[rule.to].label) });
+}
+
+async function notifyAlert(entry) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const opts = { body: entry.body, icon: '/favicon.png', tag: entry.id, data: { url: stockPath(entry.market, entry.ticker) } };
+  // Through the service worker the notification also shows while the tab is in the background
+  const reg = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration().catch(() => null) : null;
+  if (reg) reg.showNotification(entry.title, opts); else new Notification(entry.title, opts);
+}
+
+/* observations: { [metricsKey]: { price, m } } */
+function evaluateAlerts(observations) {
+  const rules = loadAlerts().filter((r) => r.enabled !== false && observations[metricsKey(r.market, r.ticker)]);
+  if (!rules.length) return;
+  const state = cacheRead(ALERT_STATE_KEY, {}); const lang = localStorage.getItem('lang') || 'en'; const fired = [];
+  for (const rule of rules) {
+    const { price, m } = observations[metricsKey(rule.market, rule.ticker)];
+    const prev = state[rule.id]; const cur = alertObservation(rule, price, m, prev);
+    if (alertFires(rule, prev, cur)) fired.push({ id: newId('a'), ruleId: rule.id, market: rule.market, ticker: rule.ticker, at: Date.now(), read: false, ...alertText(rule, cur, lang) });
+    state[rule.id] = cur;
+  }
+  cacheWrite(ALERT_STATE_KEY, state);
+  if (!fired.length) return;
+  cacheWrite(ALERT_INBOX_KEY, [...fired.reverse(), ...loadInbox()].slice(0, ALERT_INBOX_MAX)); announceStore(ALERT_INBOX_KEY);
+  fired.forEach((e) => notifyAlert(e).catch(() => {}));
+}
+/* Fresh market prices; upside uses the last metrics we have for the stock, whatever their age */
+function checkPriceAlerts(market, prices) {
+  const cached = metricsCacheGet(); const obs = {};
+  for (const r of loadAlerts()) {
+    if (r.market !== market) continue;
+    const sym = `${r.ticker}${MARKET_SUFFIX[market]}`;
+    if (Number.isFinite(prices[sym])) obs[metricsKey(market, r.ticker)] = { price: prices[sym], m: cached[sym]?.data };
+  }
+  evaluateAlerts(obs);
+}
+function checkMetricAlerts(symbolWithSuffix, m) {
+  if (!m) return;
+  const obs = {};
+  for (const r of loadAlerts()) {
+    if (`${r.ticker}${MARKET_SUFFIX[r.market]}` === symbolWithSuffix) obs[metricsKey(r.market, r.ticker)] = { price: m.price, m };
+  }
+  evaluateAlerts(obs);
+}
+/* Background pass for tickers with rules (runs on a timer while the app is open, even in a hidden tab) */
+async function runAlertWatch() {
+  const provider = getProvider();
+  const rules = loadAlerts().filter((r) => r.enabled !== false && MARKET[r.market]);
+  if (!rules.length || !provider.ready()) return;
+  for (const market of [...new Set(rules.map((r) => r.market))]) {
+    const mine = rules.filter((r) => r.market === market);
+    const symbols = [...new Set(mine.map((r) => `${r.ticker}${MARKET_SUFFIX[market]}`))];
+    try { checkPriceAlerts(market, await provider.prices(symbols)); } catch { /* quota/network: next pass */ }
+    // Refreshes stale metrics only, once per symbol; getValuationMetricsCached evaluates the rules itself.
+    // A load costs METRICS_CREDITS, so it waits for a pass where TwelveData is neither throttled nor out of quota.
+    for (const symbol of new Set(mine.filter((x) => x.type !== 'price_cross').map((r) => `${r.ticker}${MARKET_SUFFIX[market]}`))) {
+      if (twelveBusy()) return;
+      try { await getValuationMetricsCached(symbol, MARKET_CCY[market]); } catch (e) { if (e?.quota) return; }
+    }
+  }
+}
+function useAlertWatcher() {
+  useEffect(() => {
+    const t = setInterval(() => { runAlertWatch(); }, ALERT_CHECK_MS);
+    return () => clearInterval(t);
+  }, []);
+}
+/* The service worker shows notifications for background tabs and reports clicks back to the app */
+function useServiceWorker(onOpen) {
+  const openRef = useRef(onOpen); openRef.current = onOpen;
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(() => {});
+    const onMessage = (e) => { if (e.data?.type === 'open' && e.data.url) openRef.current(e.data.url); };
+    navigator.serviceWorker.addEventListener('message', onMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', onMessage);
+  }, []);
+}
+
+function StockAlerts({ market, ticker, company, industry, m, T, lang }) {
+  const [rules, setRules] = useAlerts();
+  const [type, setType] = useState('price_cross');
+  const [value, setValue] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('under');
+  const mine = rules.filter((r) => r.market === market && r.ticker === ticker);
+  const canAdd = type === 'verdict' ? from !== to : value !== '' && Number.isFinite(Number(value));
+  const add = () => {
+    const rule = { id: newId('r'), market, ticker, company, industry, type, enabled: true, createdAt: Date.now(), ...(type === 'verdict' ? { from, to } : { value: Number(value) }) };
+    setRules((all) => [...all, rule]); setValue('');
+    // Baseline from what is on screen, so the first refresh can already fire
+    if (m) { const state = cacheRead(ALERT_STATE_KEY, {}); state[rule.id] = alertObservation(rule, m.price, m, null); cacheWrite(ALERT_STATE_KEY, state); }
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') Notification.requestPermission().catch(() => {});
+  };
+  return (
+    <Card title={`🔔 ${T('alerts.alerts')}`}>
+      <div className="space-y-2 text-sm">
+        {mine.map((r) => (
+          <div key={r.id} className="flex items-center justify-between gap-2">
+            <span className={r.enabled === false ? 'text-gray-400 line-through' : ''}>{describeRule(r, lang)}</span>
+            <Button variant="ghost" onClick={() => setRules((all) => all.filter((x) => x.id !== r.id))}>✕</Button>
+          </div>
+        ))}
+        <select value={type} onChange={(e) => setType(e.target.value)} className={selectCls}>
+          {ALERT_TYPES.map((t) => <option key={t.id} value={t.id}>{T(t.label)}</option>)}
+        </select>
+        {type === 'verdict' ? (
+          <div className="flex items-center gap-2">
+            <select value={from} onChange={(e) => setFrom(e.target.value)} className={selectCls}>
+              <option value="">{T('alerts.fromAny')}</option>
+              {Object.entries(VERDICTS).map(([id, v]) => <option key={id} value={id}>{T(v.label)}</option>)}
+            </select>
+            <span>→</span>
+            <select value={to} onChange={(e) => setTo(e.target.value)} className={selectCls}>
+              {Object.entries(VERDICTS).map(([id, v]) => <option key={id} value={id}>{T(v.label)}</option>)}
+            </select>
+          </div>
+        ) : (
+          <input
+            type="number"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={type === 'price_cross' ? (m?.price ? m.price.toFixed(2) : MARKET_CCY[market]) : '25'}
+            className="w-full border rounded-lg px-3 py-2 text-sm"
+          />
+        )}
+        <Button variant="subtle" onClick={add} disabled={!canAdd}>{T('alerts.addAlert')}</Button>
+      </div>
+    </Card>
+  );
+}
+
+function AlertsPage({ langApi, onLogoClick, onBack }) {
+  const { T, lang } = langApi;
+  const navigate = useNavigate();
+  const [rules, setRules] = useAlerts();
+  const [inbox, setInbox] = useAlertInbox();
+  const [perm, setPerm] = useState(() => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission));
+  const [checking, setChecking] = useState(false);
+  const unread = inbox.filter((e) => !e.read).length;
+  const fmtTime = (t) => formatDate(t, lang, { dateStyle: 'medium', timeStyle: 'short' });
+  const open = (e) => { setInbox((all) => all.map((x) => (x.id === e.id ? { ...x, read: true } : x))); navigate(stockPath(e.market, e.ticker)); };
+
+  const sidebar = (
+    <Card title={T('alerts.notifications')}>
+      <div className="space-y-2 text-sm">
+        {perm === 'unsupported' && <div className="text-gray-500">{T('alerts.noNotificationSupport')}</div>}
+        {perm === 'granted' && <div className="text-green-700">{T('alerts.notificationsOn')}</div>}
+        {perm === 'denied' && <div className="text-red-600">{T('alerts.notificationsBlocked')}</div>}
+        {perm === 'default' && <Button variant="subtle" onClick={() => Notification.requestPermission().then(setPerm)}>{T('alerts.enableNotifications')}</Button>}
+        <Button variant="ghost" disabled={checking || !rules.length} onClick={() => { setChecking(true); runAlertWatch().finally(() => setChecking(false)); }}>
+          {checking ? T('alerts.checking') : T('alerts.checkNow')}
+        </Button>
+        <div className="text-xs text-gray-500">{T('alerts.checkInterval')}</div>
+      </div>
+    </Card>
+  );
+
+  return (
+    <ShellLayout lang={lang} onLogoClick={onLogoClick} headerActions={<HeaderNav langApi={langApi} onBack={onBack} />} sidebar={sidebar}>
+      <div className="space-y-4">
+        <Card
+          title={`${T('alerts.alertInbox')}${unread ? ` (${unread})` : ''}`}
+          actions={inbox.length > 0 && (
+            <>
+              <Button variant="ghost" disabled={!unread} onClick={() => setInbox((all) => all.map((x) => ({ ...x, read: true })))}>{T('alerts.markAllRead')}</Button>
+              <Button variant="danger" onClick={() => setInbox([])}>{T('alerts.clear')}</Button>
+            </>
+          )}
+        >
+          {!inbox.length && <div className="text-sm text-gray-500">{T('alerts.noAlertsYet')}</div>}
+          <div className="divide-y">
+            {inbox.map((e) => (
+              <button key={e.id} onClick={() => open(e)} className={`w-full text-left py-2 px-1 hover:bg-gray-50 ${e.read ? 'text-gray-500' : ''}`}>
+                <div className="flex items-center justify-between gap-2 text-sm">
+                  <span className={e.read ? '' : 'font-semibold'}>{e.read ? '' : '● '}{e.title}</span>
+                  <span className="text-xs text-gray-400 whitespace-nowrap">{fmtTime(e.at)}</span>
+                </div>
+                <div className="text-sm">{e.body}</div>
+              </button>
+            ))}
+          </div>
+        </Card>
+
+        <Card title={T('alerts.alertRules')} subtitle={T('alerts.addFromStock')}>
+          {!rules.length && <div className="text-sm text-gray-500">{T('alerts.noRulesYet')}</div>}
+          <div className="divide-y">
+            {rules.map((r) => (
+              <div key={r.id} className="flex items-center justify-between gap-2 py-2 text-sm">
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={r.enabled !== false} onChange={(e) => setRules((all) => all.map((x) => (x.id === r.id ? { ...x, enabled: e.target.checked } : x)))} />
+                  <span className="font-mono">{r.ticker}</span> <span className="text-xs text-gray-400">{r.market}</span>
+                  <span className={r.enabled === false ? 'text-gray-400' : ''}>{describeRule(r, lang)}</span>
+                </label>
+                <Button variant="ghost" onClick={() => setRules((all) => all.filter((x) => x.id !== r.id))}>✕</Button>
+              </div>
+            ))}
+          </div>
+        </Card>
+      </div>
+    </ShellLayout>
+  );
+}
+
+/* ========================== Cloud sync (Supabase) ========================== */
+// Optional: with VITE_SUPABASE_URL + VITE_SUPABASE_ANON_KEY set, a signed-in user's preferences
+// (language, market, data provider, display currency), lists, alert rules and weighting profiles
+// are mirrored to the `user_state` table (one row per SYNC_KEYS key; see supabase/migrations). To
+// test locally, `npx supabase start` (supabase/config.toml) and copy .env.example to .env.local;
+// `npm run check:sync` exercises the merge against that instance.
+//
+// Offline-first: every write lands in localStorage immediately and marks its key dirty. A sync
+// three-way merges local, remote and the last synced snapshot (the "base") with mergeUserState
+// (src/syncMerge.js): per record id for collections (lists, alerts, profiles), whole value for preferences.
+const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || '';
+const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY || '';
+const SYNC_TABLE = 'user_state';
+const SYNC_KEYS = { lang: 'pref', mkt: 'pref', [PROVIDER_KEY]: 'pref', [WEIGHTS_KEY]: 'collection', [LISTS_KEY]: 'collection', [ALERTS_KEY]: 'collection', [DISPLAY_CCY_KEY]: 'pref' };
+const SYNC_BASE_KEY = 'sync_base_v1';
+const SYNC_DIRTY_KEY = 'sync_dirty_v1';
+const SYNC_DEBOUNCE_MS = 3000;
+
+let __supabase = null;
+const getSupabase = () => {
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) return null;
+  if (!__supabase) __supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+  return __supabase;
+};
+const __sync = { state: { user: null, status: 'idle', error: '', lastSyncAt: cacheRead('sync_last_v1', 0) }, listeners: new Set(), timer: null, running: null };
+function setSyncState(patch) { __sync.state = { ...__sync.state, ...patch }; __sync.listeners.forEach((fn) => fn(__sync.state)); }
+function useCloudSync() {
+  const [state, setState] = useState(__sync.state);
+  useEffect(() => { __sync.listeners.add(setState); return () => { __sync.listeners.delete(setState); }; }, []);
+  return state;
+}
+function markSyncDirty(key) {
+  const dirty = cacheRead(SYNC_DIRTY_KEY, {}); dirty[key] = Date.now();
+  localStorage.setItem(SYNC_DIRTY_KEY, JSON.stringify(dirty));
+  if (__sync.state.user) { clearTimeout(__sync.timer); __sync.timer = setTimeout(() => { syncNow().catch(() => {}); }, SYNC_DEBOUNCE_MS); }
+}
+
+const readSyncValue = (key) => (SYNC_KEYS[key] === 'collection' ? cacheRead(key, []) : localStorage.getItem(key) || '');
+function writeSyncValue(key, v) {
+  if (SYNC_KEYS[key] === 'collection') localStorage.setItem(key, JSON.stringify(v));
+  else if (v) localStorage.setItem(key, v); else localStorage.removeItem(key);
+  announceStore(key);
+}
+
+async function syncNow() {
+  const sb = getSupabase();
+  if (!sb || !__sync.state.user) return;
+  if (__sync.running) return __sync.running;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) { setSyncState({ status: 'offline' }); return; }
+  __sync.running = (async () => {
+    setSyncState({ status: 'syncing', error: '' });
+    try {
+      const { data, error } = await sb.from(SYNC_TABLE).select('key,value,updated_at');
+      if (error) throw error;
+      const remote = Object.fromEntries((data || []).map((r) => [r.key, { value: r.value, at: Date.parse(r.updated_at) || 0 }]));
+      const base = cacheRead(SYNC_BASE_KEY, {}); const dirtyAtStart = cacheRead(SYNC_DIRTY_KEY, {});
+      const local = Object.fromEntries(Object.keys(SYNC_KEYS).map((key) => [key, readSyncValue(key)]));
+      const { merged, upserts } = mergeUserState({ kinds: SYNC_KEYS, local, base, remote, dirty: dirtyAtStart });
+      for (const key of Object.keys(SYNC_KEYS)) if (!sameJSON(merged[key], local[key])) writeSyncValue(key, merged[key]);
+      if (upserts.length) {
+        const now = new Date().toISOString();
+        const { error: upErr } = await sb.from(SYNC_TABLE).upsert(upserts.map((key) => ({ user_id: __sync.state.user.id, key, value: merged[key], updated_at: now })));
+        if (upErr) throw upErr;
+      }
+      cacheWrite(SYNC_BASE_KEY, { ...base, ...merged });
+      // Keys edited while this sync was in flight stay dirty for the next round.
+      const dirtyNow = cacheRead(SYNC_DIRTY_KEY, {});
+      for (const k of Object.keys(dirtyNow)) if (dirtyNow[k] === dirtyAtStart[k]) delete dirtyNow[k];
+      localStorage.setItem(SYNC_DIRTY_KEY, JSON.stringify(dirtyNow));
+      const at = Date.now(); cacheWrite('sync_last_v1', at);
+      setSyncState({ status: 'idle', lastSyncAt: at });
+    } catch (e) {
+      setSyncState({ status: 'error', error: e?.message || 'Sync failed' });
+    } finally { __sync.running = null; }
+  })();
+  return __sync.running;
+}
+
+/* Wire auth + triggers once per app: sign-in, reconnect and tab focus all sync. */
+function initCloudSync() {
+  const sb = getSupabase();
+  if (!sb) return () => {};
+  const { data: sub } = sb.auth.onAuthStateChange((_event, session) => {
+    const user = session?.user ? { id: session.user.id, email: session.user.email } : null;
+    const changed = user?.id !== __sync.state.user?.id;
+    setSyncState({ user });
+    if (user && changed) syncNow().catch(() => {});
+  });
+  const onOnline = () => { syncNow().catch(() => {}); };
+  const onFocus = () => { if (Date.now() - (__sync.state.lastSyncAt || 0) > 60000) syncNow().catch(() => {}); };
+  window.addEventListener('online', onOnline); window.addEventListener('focus', onFocus);
+  return () => { sub?.subscription?.unsubscribe(); window.removeEventListener('online', onOnline); window.removeEventListener('focus', onFocus); };
+}
+const signInWithEmail = (email) => getSupabase().auth.signInWithOtp({ email, options: { emailRedirectTo: `${window.location.origin}/settings` } });
+async function signOutCloud() {
+  await getSupabase()?.auth.signOut();
+  // The next account starts from a fresh three-way merge.
+  localStorage.removeItem(SYNC_BASE_KEY);
+  setSyncState({ user: null, status: 'idle', error: '' });
+}
 
+/* ========================== Settings ========================== */
+const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+const downloadJSON = (filename, data) => downloadBlob(filename, new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+const csvCell = (v) => { const s = v == null ? '' : String(v); return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; };
+/* UTF-8 BOM so Excel opens Arabic text correctly */
+const downloadCSV = (filename, rows) => downloadBlob(filename, new Blob(['\ufeff' + rows.map((r) => r.map(csvCell).join(',')).join('\r\n')], { type: 'text/csv;charset=utf-8' }));
+function useIndustries(market) {
+  const [list, setList] = useState([]);
   useEffect(() => {
-    let t; if (aiBusy) { t = setTimeout(() => setLongWait(true), 15000); } else { setLongWait(false); }
-    return () => { if (t) clearTimeout(t); };
-  }, [aiBusy]);
+    if (!MARKET[market]) { setList([]); return; }
+    let stop = false;
+    fetchMarketJSON(market).then((raw) => { if (!stop) setList(Object.keys(raw)); }).catch(() => { if (!stop) setList([]); });
+    return () => { stop = true; };
+  }, [market]);
+  return list;
+}
 
-  const pct = useMemo(() => (m ? ((m.weighted - (m.price || 1)) / (m.price || 1)) * 100 : 0), [m]);
-  const valuationMsg = useMemo(() => {
-    if (!m) return '';
-    if (pct >= 25) return T('سعر السهم مناسب مقارنةً بقيمة السهم العادلة', 'The stock is undervalued');
-    if (pct >= 0) return T('سعر السهم مقيم بشكل عادل', 'The stock is fairly priced');
-    return T('سعرالسهم أعلى من قيمة السهم العادلة', 'The stock is overvalued');
-  }, [m, pct, T]);
-
-  const ccyLabel = useMemo(() => ccyName(currency, lang), [currency, lang]);
-  const xUrl = useMemo(() => buildXShare({
-    ticker, company, lang,
-    url: (typeof window !== 'undefined' ? window.location.href : 'https://trueprice.cash'),
-    m, aiFV,
-  }), [ticker, company, lang, m, aiFV]);
+const selectCls = 'mt-1 w-full border rounded-lg px-2 py-1.5 text-sm bg-white focus:ring-2 focus:ring-gray-300';
 
-  async function askAI() {
-    if (!m || aiBusy) return;
-    setAiError('');
+function ProfileEditor({ profile, onChange, onDelete, T }) {
+  const industries = useIndustries(profile.market);
+  const set = (patch) => onChange({ ...profile, ...patch });
+  const setW = (id) => (v) => set({ weights: { ...profile.weights, [id]: v === '' ? 0 : Math.max(0, v) } });
+  const isDefault = profile.id === DEFAULT_PROFILE.id;
+  return (
+    <Card
+      title={profile.name}
+      subtitle={`FV = ${formulaText(profile) || '—'}`}
+      actions={!isDefault && <Button variant="danger" onClick={onDelete}>{T('common.delete')}</Button>}
+    >
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        <label className="block">
+          <span className="text-xs text-gray-600">{T('settings.weights.name')}</span>
+          <input value={profile.name} onChange={(e) => set({ name: e.target.value })} className="mt-1 w-full border rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-gray-300" />
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-600">{T('common.market')}</span>
+          <select value={profile.market} disabled={isDefault} onChange={(e) => set({ market: e.target.value, industry: '*' })} className={selectCls}>
+            <option value="*">{T('settings.weights.any')}</option>
+            {Object.keys(MARKET).map((id) => <option key={id} value={id}>{id}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-600">{T('common.industry')}</span>
+          <select value={profile.industry} disabled={isDefault || profile.market === '*'} onChange={(e) => set({ industry: e.target.value })} className={selectCls}>
+            <option value="*">{T('settings.weights.any')}</option>
+            {profile.industry !== '*' && !industries.includes(profile.industry) && <option value={profile.industry}>{profile.industry}</option>}
+            {industries.map((ind) => <option key={ind} value={ind}>{ind}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="mt-3 grid grid-cols-2 sm:grid-cols-6 gap-3">
+        {WEIGHT_COMPONENTS.map(({ id, label }) => (
+          <ModelField key={id} label={`${T('settings.weights.weight')} ${label}`} value={profile.weights[id]} onChange={setW(id)} step={0.05} min={0} />
+        ))}
+        <ModelField label={T('settings.weights.underAtLeast')} value={profile.under} onChange={(v) => set({ under: v === '' ? 0 : v })} step={1} suffix="%" />
+        <ModelField label={T('settings.weights.fairAtLeast')} value={profile.over} onChange={(v) => set({ over: v === '' ? 0 : v })} step={1} suffix="%" />
+      </div>
+    </Card>
+  );
+}
 
-    const symbolWithSuffix = `${ticker}${MARKET_SUFFIX[market]}`;
-    const sig = aiInputsSig(m);
-    const key = AI_CACHE_KEY(symbolWithSuffix, sig);
-    const cached = cacheRead(key, null);
-    if (cached && Date.now() - cached.at < AI_TTL_MS && Number.isFinite(cached.fv)) {
-      setAiFV(cached.fv); setAiCached(true);
-      return;
-    }
+function WeightingSettings({ T }) {
+  const [profiles, setProfiles] = useWeightProfiles();
+  const [msg, setMsg] = useState('');
+  const update = (id) => (p) => setProfiles((list) => list.map((x) => (x.id === id ? p : x)));
+  const remove = (id) => () => setProfiles((list) => list.filter((x) => x.id !== id));
+  const add = (tpl) => setProfiles((list) => [...list, normalizeProfile({ ...DEFAULT_PROFILE, ...tpl, id: undefined, name: tpl?.name || T('settings.weights.newProfile') })]);
 
-    setAiBusy(true); setAiFV(null); setAiCached(false);
+  async function onImport(e) {
+    const file = e.target.files?.[0]; e.target.value = '';
+    if (!file) return;
     try {
-      if (hasWebGPU) {
-        // Path 1: On-device WebLLM (WebGPU)
-        const eng = await getEngine();
-        const sys = 'You are a careful equity analyst. Output strict JSON only with key: fv (number). Do not add any text outside JSON.';
-        const user = [
-          `Compute FV per share using: FV = 0.5*EV + 0.25*PE + 0.25*PS.`,
-          `Currency: ${currency}`,
-          `Inputs:`,
-          `EV_per_share=${m.fairEV.toFixed(2)}`,
-          `PE_per_share=${m.fairPE.toFixed(2)}`,
-          `PS_per_share=${m.fairPS.toFixed(2)}`,
-          `BookValue_per_share=${m.bookValue.toFixed(2)}`,
-          `Current_Price=${m.price.toFixed(2)}`,
-          `Return JSON like: {"fv": 123.45}`
-        ].join('\n');
-
-        const resp = await eng.chat.completions.create({
-          messages: [ { role: 'system', content: sys }, { role: 'user', content: user } ],
-          temperature: 0.2, max_tokens: 60,
-        });
-        const content = readLLMContent(resp);
-        const j = extractJSON(content);
-        if (j && typeof j.fv === 'number' && isFinite(j.fv)) {
-          const fvNum = Number(j.fv);
-          setAiFV(fvNum); cacheWrite(key, { at: Date.now(), fv: fvNum });
-        } else {
-          throw new Error('parse_error');
-        }
-      } else if (OPENAI_KEY) {
-        // Path 2: Cloud API (OpenAI-compatible)
-        const body = {
-          model: OPENAI_MODEL,
-          messages: [
-            { role: 'system', content: 'Output strict JSON with only {"fv": number}. No prose.' },
-            { role: 'user', content:
-              `Compute FV = 0.5*EV + 0.25*PE + 0.25*PS. Return {"fv": number}.\n` +
-              `EV=${m.fairEV.toFixed(2)}, PE=${m.fairPE.toFixed(2)}, PS=${m.fairPS.toFixed(2)}, ` +
-              `Book=${m.bookValue.toFixed(2)}, Price=${m.price.toFixed(2)}, Currency=${currency}`
-            }
-          ],
-          temperature: 0.2,
-          max_tokens: 20
-        };
-        const r = await fetch(`${OPENAI_BASE}/chat/completions`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${OPENAI_KEY}`,
-          },
-          body: JSON.stringify(body),
-        });
-        if (!r.ok) throw new Error('api_error');
-        const data = await r.json();
-        const content = data?.choices?.[0]?.message?.content ?? '';
-        const j = extractJSON(content);
-        if (j && typeof j.fv === 'number' && isFinite(j.fv)) {
-          const fvNum = Number(j.fv);
-          setAiFV(fvNum); cacheWrite(key, { at: Date.now(), fv: fvNum });
-        } else {
-          throw new Error('parse_error');
-        }
-      } else {
-        // Path 3: Local deterministic fallback (same formula)
-        const fvNum = m.fairEV * 0.5 + m.fairPE * 0.25 + m.fairPS * 0.25;
-        if (isFinite(fvNum)) {
-          setAiFV(Number(fvNum.toFixed(2)));
-        } else {
-          throw new Error('fallback_error');
-        }
-      }
+      const j = JSON.parse(await file.text());
+      const incoming = (Array.isArray(j) ? j : j?.profiles);
+      if (!Array.isArray(incoming) || !incoming.length) throw new Error('empty');
+      const list = incoming.map(normalizeProfile);
+      setProfiles((cur) => { const byId = new Map(cur.map((p) => [p.id, p])); for (const p of list) byId.set(p.id, p); return [...byId.values()]; });
+      setMsg(T('settings.weights.imported', { count: list.length }));
     } catch {
-      setAiError(T('حدث خطأ ما. حاول مرة أخرى لاحقًا.', 'Something went wrong. Try again later.'));
-    } finally { setAiBusy(false); }
+      setMsg(T('settings.weights.invalidProfilesFile'));
+    }
   }
 
-  const showComparison = aiFV != null && m;
-  const diffPct = showComparison ? ((aiFV - m.weighted) / (m.weighted || 1)) * 100 : 0;
-  const equalWithin = Math.abs(diffPct) < 0.0001;
-  const compColor = equalWithin ? 'text-blue-600' : (aiFV < (m?.weighted || 0) ? 'text-red-600' : 'text-green-600');
+  return (
+    <div className="space-y-4">
+      <Card
+        title={T('settings.weights.title')}
+        subtitle={T('settings.weights.precedenceNote')}
+        actions={
+          <>
+            <Button variant="ghost" onClick={() => downloadJSON('trueprice-weights.json', { type: 'trueprice.weights', version: 1, profiles })}>{T('settings.weights.export')}</Button>
+            <label className="inline-flex items-center justify-center px-3.5 py-2 rounded-lg text-sm font-medium border bg-white text-gray-700 border-gray-300 hover:bg-gray-50 cursor-pointer">
+              {T('settings.weights.import')}
+              <input type="file" accept="application/json,.json" className="hidden" onChange={onImport} />
+            </label>
+          </>
+        }
+      >
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="subtle" onClick={() => add(null)}>{T('settings.weights.addProfile')}</Button>
+          {PROFILE_TEMPLATES.map((tpl) => <Button key={tpl.name} variant="subtle" onClick={() => add(tpl)}>+ {tpl.name}</Button>)}
+          <Button variant="ghost" onClick={() => setProfiles([DEFAULT_PROFILE])}>{T('settings.weights.restoreDefaults')}</Button>
+        </div>
+        {msg && <div className="mt-2 text-xs text-gray-600">{msg}</div>}
+      </Card>
+      {profiles.map((p) => (
+        <ProfileEditor key={p.id} profile={p} onChange={update(p.id)} onDelete={remove(p.id)} T={T} />
+      ))}
+    </div>
+  );
+}
 
-  const headerActions = (
-    <>
-      <Button variant="ghost" onClick={onBack}>{T('الرجوع', 'Back')}</Button>
-      <Button variant="ghost" onClick={() => langApi.setLang(langApi.lang === 'ar' ? 'en' : 'ar')}>
-        {langApi.lang === 'ar' ? 'EN' : 'AR'}
-      </Button>
-      <Button as="a" href="https://x.com/dr_sam_78" target="_blank" rel="noopener noreferrer" variant="ghost">Contact us</Button>
-    </>
+function CurrencySettings({ T, lang }) {
+  const { ccy, setCcy, fxFor } = useDisplayCurrency();
+  const [manual, setManual] = useStoredState(FX_MANUAL_KEY, loadFxManual);
+  const pairs = ccy ? displayCurrencies().filter((c) => c !== ccy).map((c) => [c, ccy]) : [];
+  return (
+    <Card title={T('fx.displayCurrency')} subtitle={T('fx.displayHint')}>
+      <select value={ccy} onChange={(e) => setCcy(e.target.value)} className={selectCls}>
+        <option value="">{T('fx.nativeHint')}</option>
+        {displayCurrencies().map((c) => <option key={c} value={c}>{ccyName(c, lang) === c ? c : `${c} — ${ccyName(c, lang)}`}</option>)}
+      </select>
+      {pairs.length > 0 && (
+        <div className="mt-3 space-y-2">
+          <div className="text-xs text-gray-600">{T('fx.manualRateHint')}</div>
+          {pairs.map(([from, to]) => (
+            <div key={from} className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="w-28"><bdi>1 {from} =</bdi></span>
+              <input
+                type="number"
+                step="0.0001"
+                min={0}
+                value={manual[fxPair(from, to)] ?? ''}
+                placeholder={fxFromTable(FX_PEGS, from, to)?.toFixed(4) || ''}
+                onChange={(e) => setManual((all) => { const next = { ...all }; const v = Number(e.target.value); if (v > 0) next[fxPair(from, to)] = v; else delete next[fxPair(from, to)]; return next; })}
+                className="w-28 border rounded-lg px-2 py-1.5 text-sm"
+              />
+              <span>{to}</span>
+              <FxNote from={from} to={to} fx={fxFor(from)} T={T} lang={lang} />
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function DataProviderSettings({ T }) {
+  const [choice, setChoice] = useState(() => localStorage.getItem(PROVIDER_KEY) || '');
+  const onChange = (id) => { setChoice(id); prefWrite(PROVIDER_KEY, id); };
+  const active = getProvider();
+  return (
+    <Card title={T('settings.provider.title')} subtitle={`${T('common.inUse')} ${active.label}`}>
+      <select value={choice} onChange={(e) => onChange(e.target.value)} className={selectCls}>
+        <option value="">{T('settings.provider.automatic')} ({DATA_PROVIDERS[providerDefault()]?.label || providerDefault()})</option>
+        {Object.values(DATA_PROVIDERS).map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+      </select>
+      {!active.ready() && (
+        <div className="mt-2 text-xs text-amber-700">{T('settings.provider.missingKey')}</div>
+      )}
+      {active === fixtureProvider && (
+        <div className="mt-2 text-xs text-gray-600">{T('settings.provider.fixtureDir')} <code>public{FIXTURE_DIR}</code>.</div>
+      )}
+    </Card>
+  );
+}
+
+function AISettings({ T, lang }) {
+  const [s, setS] = useStoredState(AI_SETTINGS_KEY, loadAiSettings);
+  const engine = useEngineState();
+  const [cached, setCached] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState('');
+  const gpu = hasWebGPU();
+  const set = (k) => (v) => setS((p) => ({ ...p, [k]: v }));
+
+  const refreshCached = useCallback(() => {
+    Promise.all(WEBLLM_MODELS.map((id) => hasModelInCache(id).catch(() => false)))
+      .then((v) => setCached(Object.fromEntries(WEBLLM_MODELS.map((id, i) => [id, v[i]]))));
+  }, []);
+  useEffect(() => { refreshCached(); }, [refreshCached, engine.status]);
+
+  const run = async (fn) => {
+    setBusy(true); setMsg('');
+    try { await fn(); } catch (e) { setMsg(e?.message || T('settings.ai.error')); } finally { setBusy(false); refreshCached(); }
+  };
+  const gb = (mb) => (mb ? `~${formatNumber(mb / 1024, lang, 1)} GB` : '—');
+  const inUse = { webgpu: `${T('settings.ai.onDevice')}${__modelId ? ` · ${__modelId}` : ''}`, cloud: `${T('settings.ai.openaiApi')} · ${aiEndpoint().model}` }[aiBackend()]
+    || T('settings.ai.localCalculation');
+  const inputCls = 'mt-1 w-full border rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-gray-300';
+
+  return (
+    <Card title={T('settings.ai.title')} subtitle={`${T('common.inUse')} ${inUse}`}>
+      <select value={s.backend} onChange={(e) => set('backend')(e.target.value)} className={selectCls}>
+        <option value="auto">{T('settings.ai.auto')}</option>
+        <option value="webllm">{T('settings.ai.webllm')}</option>
+        <option value="openai">{T('settings.ai.openaiEndpoint')}</option>
+        <option value="local">{T('settings.ai.localCalculationOnly')}</option>
+      </select>
+      {!gpu && s.backend !== 'openai' && s.backend !== 'local' && (
+        <div className="mt-2 text-xs text-amber-700">{T('settings.ai.noWebgpu')}</div>
+      )}
+
+      {(s.backend === 'auto' || s.backend === 'webllm') && (
+        <div className="mt-4">
+          <div className="text-sm font-medium">{T('settings.ai.onDeviceModels')}</div>
+          <div className="mt-2 divide-y border rounded-lg text-sm max-h-96 overflow-y-auto">
+            <label className="flex items-center gap-2 px-3 py-2">
+              <input type="radio" name="ai-model" checked={!s.model} onChange={() => set('model')('')} />
+              <span>{T('settings.ai.autoModel')}</span>
+            </label>
+            {WEBLLM_MODELS.map((id) => (
+              <div key={id} className="flex flex-wrap items-center gap-2 px-3 py-2">
+                <label className="flex items-center gap-2 flex-1 min-w-0">
+                  <input type="radio" name="ai-model" checked={s.model === id} onChange={() => set('model')(id)} />
+                  <bdi className="truncate">{id}</bdi>
+                </label>
+                <span className="text-xs text-gray-500" title={T('settings.ai.gpuMemoryRequired')}>{T('settings.ai.vram', { size: gb(modelRecord(id)?.vram_required_MB) })}</span>
+                <span className={`text-xs ${__modelId === id ? 'text-green-700' : cached[id] ? 'text-gray-700' : 'text-gray-400'}`}>
+                  {__modelId === id ? T('settings.ai.loaded') : cached[id] ? T('settings.ai.downloaded') : T('settings.ai.notDownloaded')}
+                </span>
+                <Button variant="ghost" disabled={!gpu || busy || engine.status === 'loading' || __modelId === id} onClick={() => run(async () => { set('model')(id); await getEngine(); })}>
+                  {T('settings.ai.load')}
+                </Button>
+                <Button variant="ghost" disabled={busy || !cached[id]} onClick={() => run(() => clearModelWeights([id]))}>{T('common.delete')}</Button>
+              </div>
+            ))}
+          </div>
+          <div className="mt-2"><EngineProgress state={engine} T={T} /></div>
+          {engine.status === 'error' && <div className="mt-2 text-xs text-red-600" dir="ltr">{engine.text}</div>}
+        </div>
+      )}
+
+      {(s.backend === 'auto' || s.backend === 'openai') && (
+        <div className="mt-4">
+          <div className="text-sm font-medium">{T('settings.ai.openaiEndpoint')}</div>
+          <div className="grid sm:grid-cols-3 gap-3">
+            <label className="block text-xs text-gray-600">{T('settings.ai.baseUrl')}
+              <input dir="ltr" value={s.baseUrl} onChange={(e) => set('baseUrl')(e.target.value.trim())} placeholder={OPENAI_BASE} className={inputCls} />
+            </label>
+            <label className="block text-xs text-gray-600">{T('settings.ai.apiKey')}
+              <input dir="ltr" type="password" value={s.apiKey} onChange={(e) => set('apiKey')(e.target.value.trim())} placeholder={OPENAI_KEY ? T('settings.ai.fromTheBuild') : ''} className={inputCls} />
+            </label>
+            <label className="block text-xs text-gray-600">{T('settings.ai.model')}
+              <input dir="ltr" value={s.apiModel} onChange={(e) => set('apiModel')(e.target.value.trim())} placeholder={OPENAI_MODEL} className={inputCls} />
+            </label>
+          </div>
+          <div className="mt-1 text-xs text-gray-500">{T('settings.ai.keyLocalOnly')}</div>
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <Button variant="ghost" onClick={() => setMsg(T('settings.ai.answersRemoved', { count: clearStoragePrefix(AI_CACHE_PREFIX) }))}>{T('settings.ai.clearAnswers')}</Button>
+        <Button variant="ghost" onClick={() => setMsg(T('settings.ai.chatsRemoved', { count: clearStoragePrefix(CHAT_KEY_PREFIX) }))}>{T('settings.ai.clearChatHistory')}</Button>
+        <Button variant="danger" disabled={busy || !Object.values(cached).some(Boolean)} onClick={() => run(async () => { await clearModelWeights(WEBLLM_MODELS.filter((id) => cached[id])); setMsg(T('settings.ai.modelWeightsDeleted')); })}>
+          {T('settings.ai.deleteModelWeights')}
+        </Button>
+      </div>
+      {msg && <div className="mt-2 text-xs text-gray-600">{msg}</div>}
+    </Card>
+  );
+}
+
+function CloudSyncSettings({ T, lang }) {
+  const { user, status, error, lastSyncAt } = useCloudSync();
+  const [email, setEmail] = useState('');
+  const [msg, setMsg] = useState('');
+  if (!getSupabase()) {
+    return (
+      <Card title={T('settings.sync.title')}>
+        <div className="text-xs text-gray-600">
+          {T('settings.sync.notConfigured')}
+        </div>
+      </Card>
+    );
+  }
+  async function onSignIn() {
+    setMsg('');
+    const { error: e } = await signInWithEmail(email.trim());
+    setMsg(e ? e.message : T('settings.sync.linkSent'));
+  }
+  const statusText = {
+    idle: lastSyncAt ? `${T('settings.sync.lastSynced')} ${formatDate(lastSyncAt, lang, { dateStyle: 'medium', timeStyle: 'short' })}` : T('settings.sync.notSyncedYet'),
+    syncing: T('settings.sync.syncing'),
+    offline: T('settings.sync.offline'),
+    error: `${T('settings.sync.syncFailed')} ${error}`,
+  }[status];
+  return (
+    <Card
+      title={T('settings.sync.title')}
+      subtitle={T('settings.sync.subtitle')}
+      actions={user && (
+        <>
+          <Button variant="ghost" disabled={status === 'syncing'} onClick={() => syncNow()}>{T('settings.sync.syncNow')}</Button>
+          <Button variant="ghost" onClick={() => signOutCloud()}>{T('settings.sync.signOut')}</Button>
+        </>
+      )}
+    >
+      {user ? (
+        <div className="space-y-1 text-sm">
+          <div>{T('settings.sync.signedInAs')} <strong>{user.email}</strong></div>
+          <div className={`text-xs ${status === 'error' ? 'text-red-600' : 'text-gray-500'}`}>{statusText}</div>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2">
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@example.com" className="flex-1 border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-gray-300" />
+          <Button onClick={onSignIn} disabled={!email.includes('@')}>{T('settings.sync.emailMeALink')}</Button>
+        </div>
+      )}
+      {msg && <div className="mt-2 text-xs text-gray-600">{msg}</div>}
+    </Card>
   );
+}
 
+function SettingsPage({ langApi, onLogoClick, onBack }) {
+  const { T } = langApi;
   return (
     <ShellLayout
       lang={langApi.lang}
       onLogoClick={onLogoClick}
-      headerActions={headerActions}
+      headerActions={<HeaderNav langApi={langApi} onBack={onBack} />}
       sidebar={
-        <Card title={T('نظرة عامة', 'Overview')}>
-          <div className="space-y-2">
-            <div className="text-lg font-semibold">{company}</div>
-            <div className="text-sm text-gray-500">{ticker}</div>
-          </div>
+        <Card title={T('common.settings')}>
+          <div className="text-xs text-gray-600">{T('settings.savedLocally')}</div>
         </Card>
       }
     >
       <div className="space-y-4">
-        <Card title="📋 Stock Details">
-          {loading && <div className="text-center font-medium py-6">Loading stock details…</div>}
-          {err && <div className="text-red-600 text-sm">{err}</div>}
-          {!loading && !err && m && (
-            <div className="relative" aria-busy={aiBusy}>
-              {aiBusy && (
-                <div className="absolute inset-0 bg-white/40 backdrop-blur-[1px] z-10 pointer-events-auto" aria-hidden="true">
-                  <div className="absolute left-0 top-0 h-1 w-full overflow-hidden bg-gray-200" role="progressbar" aria-label="AI is thinking">
-                    <div className="h-full w-1/3 bg-gray-800" style={{ animation: 'trueprice-progress 1.2s ease-in-out infinite' }} />
-                  </div>
-                </div>
-              )}
+        <CloudSyncSettings T={T} lang={langApi.lang} />
+        <DataProviderSettings T={T} />
+        <CurrencySettings T={T} lang={langApi.lang} />
+        <WeightingSettings T={T} />
+        <AISettings T={T} lang={langApi.lang} />
+      </div>
+    </ShellLayout>
+  );
+}
 
-              <div className="grid lg:grid-cols-2 gap-6">
-                {/* Left: Pricing + Weighted FV */}
-                <div className="space-y-3">
-                  <div className="flex items-end justify-between">
-                    <div>
-                      <div className="text-2xl font-bold">{m.price.toFixed(2)} {m.currency}</div>
-                      <div className="text-xs text-gray-500">{valuationMsg}</div>
-                    </div>
-                    <div className="text-right">
-                      <div className="text-sm text-gray-500">{T('القيمة العادلة الموزونة', 'Weighted Fair Value')}</div>
-                      <div className={`text-xl font-semibold ${pctColor(((m.weighted - m.price) / (m.price || 1)) * 100)}`}>
-                        {m.weighted.toFixed(2)} {ccyLabel}
-                      </div>
-                    </div>
-                  </div>
+/* ========================== Routes ========================== */
+// /market/:market?q=…, /stock/:market/:ticker and /compare?s=SA:2280,US:AAPL — company name travels in history state
+// when opened in-app, otherwise MarketStock resolves it from the market JSON.
+const marketPath = (market, q) => `/market/${market}${q ? `?q=${encodeURIComponent(q)}` : ''}`;
+const stockPath = (market, ticker) => `/stock/${market}/${encodeURIComponent(ticker)}`;
+const savedMarket = () => { const m = localStorage.getItem('mkt'); return MARKET[m] ? m : MARKETS[0].id; };
+/* Back goes through history, except on direct visits that have no in-app entry to return to */
+function useBack(fallbackPath) {
+  const location = useLocation();
+  const navigate = useNavigate();
+  return () => (location.key !== 'default' ? navigate(-1) : navigate(fallbackPath));
+}
 
-                  {/* Grouped Fair Value Card */}
-                  <Card title={T('القيمة العادلة للسهم', 'Stock Fair Value')}>
-                    <div className="grid grid-cols-2 gap-3">
-                      <div className="rounded-lg border p-3">
-                        <div className="text-xs text-gray-500">{T('قيمة المؤسسة', 'Enterprise value')}</div>
-                        <div className="text-lg font-medium">{m.fairEV.toFixed(2)} {ccyLabel}</div>
-                      </div>
-                      <div className="rounded-lg border p-3">
-                        <div className="text-xs text-gray-500">{T('قيمة الأرباح', 'Earning value')}</div>
-                        <div className="text-lg font-medium">{m.fairPE.toFixed(2)} {ccyLabel}</div>
-                      </div>
-                      <div className="rounded-lg border p-3">
-                        <div className="text-xs text-gray-500">{T('قيمة المبيعات', 'Sales value')}</div>
-                        <div className="text-lg font-medium">{m.fairPS.toFixed(2)} {ccyLabel}</div>
-                      </div>
-                      <div className="rounded-lg border p-3">
-                        <div className="text-xs text-gray-500">{T('القيمة الدفترية', 'Book value')}</div>
-                        <div className="text-lg font-medium">{m.bookValue.toFixed(2)} {ccyLabel}</div>
-                      </div>
-                    </div>
-                  </Card>
+function MarketRoute({ langApi, onLogoClick }) {
+  const { market } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  if (!MARKET[market]) return <Navigate to={marketPath(savedMarket())} replace />;
+  return (
+    <MarketBrowser
+      market={market}
+      setMarket={(mkt) => navigate(marketPath(mkt, searchParams.get('q')))}
+      T={langApi.T}
+      langApi={langApi}
+      onLogoClick={onLogoClick}
+      onOpen={({ ticker, company, industry, market: mkt }) => navigate(stockPath(mkt, ticker), { state: { company, industry } })}
+      onCompare={(items) => navigate(comparePath(items))}
+    />
+  );
+}
 
-                  <div className="flex items-center gap-2">
-                    <Button onClick={askAI} disabled={aiBusy && true /* avoid rapid taps */}>{T('اسأل الذكاء الاصطناعي', 'Ask AI')}</Button>
-                    {!hasWebGPU && !OPENAI_KEY && (
-                      <span className="text-xs text-amber-700">
-                        {T('يُستخدم حساب تقريبي محلي لعدم توفر WebGPU أو واجهة سحابية.', 'Using local approximation since WebGPU/API not available.')}
-                      </span>
-                    )}
-                    {longWait && aiBusy && (
-                      <span className="text-xs text-gray-500">
-                        {T('التشغيل الأول قد يستغرق دقيقة لتحميل النموذج…', 'First run can take up to a minute while the model loads…')}
-                      </span>
-                    )}
-                  </div>
+function StockRoute({ langApi, onLogoClick }) {
+  const { market, ticker: rawTicker } = useParams();
+  const ticker = (rawTicker || '').toUpperCase();
+  const location = useLocation();
+  const onBack = useBack(marketPath(MARKET[market] ? market : savedMarket()));
+  if (!MARKET[market] || !ticker) return <Navigate to={marketPath(savedMarket())} replace />;
+  return (
+    <MarketStock
+      key={`${market}:${ticker}`}
+      params={{ ticker, market, company: location.state?.company || '', industry: location.state?.industry || '' }}
+      langApi={langApi}
+      onLogoClick={onLogoClick}
+      onBack={onBack}
+    />
+  );
+}
 
-                  {/* AI result OR one generic error */}
-                  {aiFV != null && (
-                    <div className="rounded-lg border bg-gray-50 p-3">
-                      <div className="text-sm">
-                        <strong>{T('القيمة العادلة حسب الذكاء الاصطناعي:', 'AI fair value:')}</strong> {aiFV.toFixed(2)} {ccyLabel}
-                        {aiCached && <span className="ml-2 text-gray-500 text-xs">{T('(من الذاكرة المؤقتة)', '(from cache)')}</span>}
-                      </div>
-                      <div className={`mt-2 text-sm font-semibold ${compColor}`}>
-                        {T('مقارنة مع تقدير التطبيق:', 'Comparison vs app estimate:')} <Pct n={diffPct} lang={lang} />
-                      </div>
-                    </div>
-                  )}
-                  {aiFV == null && aiError && (
-                    <div className="mt-2 text-sm text-red-600" role="alert">
-                      {aiError}
-                    </div>
-                  )}
+function ListsRoute({ langApi, onLogoClick }) {
+  const onBack = useBack(marketPath(savedMarket()));
+  return <ListsPage langApi={langApi} onLogoClick={onLogoClick} onBack={onBack} />;
+}
 
-                  <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3">
-                    ⚠️ <strong>{T('إخلاء المسؤولية:', 'Disclaimer:')}</strong> {T('هذه ليست نصيحة استثمارية.', 'This is not investment advice.')}
-                  </div>
-                </div>
+function CompareRoute({ langApi, onLogoClick }) {
+  const onBack = useBack(marketPath(savedMarket()));
+  return <ComparePage langApi={langApi} onLogoClick={onLogoClick} onBack={onBack} />;
+}
 
-                {/* Right: Indicators */}
-                <div className="space-y-3">
-                  <Card title={T('المؤشرات المالية', 'Financial Indicators')}>
-                    <ul className="space-y-2 text-sm">
-                      <li className={`${bandColor(m.grossMargin, 20, 40)}`}>
-                        {T('هامش الربح الإجمالي:', 'Gross Margin:')} <Pct n={m.grossMargin} lang={lang} />
-                      </li>
-                      <li className={`${bandColor(m.opMargin, 10, 20)}`}>
-                        {T('هامش التشغيل:', 'Operating Margin:')} <Pct n={m.opMargin} lang={lang} />
-                      </li>
-                      <li className={`${bandColor(m.netMargin, 5, 15)}`}>
-                        {T('هامش صافي الربح:', 'Net Margin:')} <Pct n={m.netMargin} lang={lang} />
-                      </li>
-                    </ul>
-                  </Card>
+function AlertsRoute({ langApi, onLogoClick }) {
+  const onBack = useBack(marketPath(savedMarket()));
+  return <AlertsPage langApi={langApi} onLogoClick={onLogoClick} onBack={onBack} />;
+}
 
-                  <Card title={T('مشاركة', 'Share')}>
-                    <div className="flex items-center gap-2">
-                      <Button as="a" href={xUrl} target="_blank" rel="noopener noreferrer" variant="ghost">Share on X</Button>
-                    </div>
-                  </Card>
-                </div>
-              </div>
-            </div>
-          )}
-        </Card>
-      </div>
-    </ShellLayout>
-  );
+function SettingsRoute({ langApi, onLogoClick }) {
+  const onBack = useBack(marketPath(savedMarket()));
+  return <SettingsPage langApi={langApi} onLogoClick={onLogoClick} onBack={onBack} />;
 }
 
 /* ========================== App ========================== */
 export default function App() {
-  const [view, setView] = useState('home');
-  const [route, setRoute] = useState({});
   const langApi = useLang();
+  const navigate = useNavigate();
 
   useEffect(() => {
     // Warm up WebLLM only if WebGPU exists
     if (typeof navigator !== 'undefined' && 'gpu' in navigator) { getEngine().catch(() => {}); }
   }, []);
+  useEffect(() => initCloudSync(), []);
+  useAlertWatcher();
+  useServiceWorker((url) => navigate(url));
+  const [registry, setRegistry] = useState({ ready: MARKETS.length > 0, error: '' });
+  useEffect(() => {
+    loadMarkets().then(() => setRegistry({ ready: true, error: '' })).catch((e) => setRegistry({ ready: false, error: e?.message || 'Failed to load markets' }));
+  }, []);
+
+  const onLogoClick = () => navigate(marketPath(savedMarket()));
 
-  const onLogoClick = () => { setView('home'); setRoute({}); };
+  if (!registry.ready) {
+    return (
+      <div dir={langApi.dir} lang={langApi.lang} className="min-h-screen flex items-center justify-center text-sm">
+        {registry.error ? <span className="text-red-600">{registry.error}</span> : <span className="text-gray-500">{langApi.T('common.loading')}</span>}
+      </div>
+    );
+  }
 
   return (
-    <div dir={langApi.lang === 'ar' ? 'rtl' : 'ltr'} lang={langApi.lang}>
-      {view === 'home' && (
-        <MarketBrowser
-          T={langApi.T}
-          langApi={langApi}
-          onLogoClick={onLogoClick}
-          onOpen={({ ticker, company, market }) => { setView('market_stock'); setRoute({ ticker, company, market }); }}
-        />
-      )}
-      {view === 'market_stock' && (
-        <MarketStock
-          params={route}
-          langApi={langApi}
-          onLogoClick={onLogoClick}
-          onBack={() => { setView('home'); setRoute({}); }}
-        />
-      )}
+    <div dir={langApi.dir} lang={langApi.lang}>
+      <Routes>
+        <Route path="/market/:market" element={<MarketRoute langApi={langApi} onLogoClick={onLogoClick} />} />
+        <Route path="/stock/:market/:ticker" element={<StockRoute langApi={langApi} onLogoClick={onLogoClick} />} />
+        <Route path="/lists/:listId?" element={<ListsRoute langApi={langApi} onLogoClick={onLogoClick} />} />
+        <Route path="/compare" element={<CompareRoute langApi={langApi} onLogoClick={onLogoClick} />} />
+        <Route path="/alerts" element={<AlertsRoute langApi={langApi} onLogoClick={onLogoClick} />} />
+        <Route path="/settings" element={<SettingsRoute langApi={langApi} onLogoClick={onLogoClick} />} />
+        <Route path="*" element={<Navigate to={marketPath(savedMarket())} replace />} />
+      </Routes>
     </div>
   );
 }
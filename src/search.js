@@ -0,0 +1,102 @@
+// path: src/search.js
+// Company search behind the market browser and the compare picker (see "Company names & search" in
+// App.jsx). Kept free of React and i18n so scripts/check-search.mjs can run the same ranking in Node
+// against the real constituent files.
+
+/* A constituent may carry both scripts: { Ticker, Company, Name: { en, ar }, Aliases: [...] }.
+   Company is the listing name and the fallback when Name lacks the UI language; aliases are
+   extra spellings users type (short names, old names, transliterations). */
+export const companyEntry = (c, market, industry) => ({
+  market, ticker: String(c.Ticker), company: String(c.Company).trim(), industry,
+  names: c.Name && typeof c.Name === 'object' ? c.Name : {}, aliases: Array.isArray(c.Aliases) ? c.Aliases.map(String) : [],
+});
+
+/* Folds case, Latin accents, Arabic diacritics/tatweel and letter variants (أ إ آ ٱ -> ا, ة -> ه,
+   ى -> ي, ؤ -> و, ئ -> ي) and Arabic-Indic digits, and turns punctuation into single spaces, so
+   "Almarai", "المراعي" and "٢٢٨٠" compare against the same forms. */
+const AR_MARKS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+export const normalizeSearch = (s) => String(s ?? '').normalize('NFKD').toLowerCase()
+  .replace(/[\u0300-\u036F]/g, '').replace(AR_MARKS, '')
+  .replace(/ٱ/g, 'ا').replace(/ة/g, 'ه').replace(/ى/g, 'ي')
+  .replace(/[\u0660-\u0669\u06F0-\u06F9]/g, (d) => String(d.charCodeAt(0) & 0xf))
+  .replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/* Optimal-string-alignment distance (one transposition counts as one edit), giving up above max */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]; let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev; prev = cur;
+  }
+  return prev[b.length];
+}
+const typoBudget = (word) => (word.length >= 7 ? 2 : word.length >= 4 ? 1 : 0);
+const stripArticle = (word) => word.replace(/^ال(?=..)/, '');
+
+/* companies: constituent rows/entries of any market. Each term is indexed as typed and with spaces
+   removed, so "al marai" finds "Almarai" and the reverse. `words` maps each name word (without the
+   article ال) to its best position in a name, 0 = leading word, for typo ranking. */
+export function buildSearchIndex(companies) {
+  return companies.map((c) => {
+    const terms = [...new Set([c.company ?? c.companyName, ...Object.values(c.names || {}), ...(c.aliases || [])].map(normalizeSearch).filter(Boolean))];
+    const compact = terms.map((t) => t.replace(/ /g, ''));
+    const words = new Map();
+    for (const [w, pos] of [...terms.flatMap((t) => t.split(' ').map((w, i) => [w, i])), ...compact.map((t) => [t, 0])]) {
+      const k = stripArticle(w); if (!(words.get(k) <= pos)) words.set(k, pos);
+    }
+    return { c, ticker: normalizeSearch(c.ticker), terms, compact, words };
+  });
+}
+/* Typo cost of query word qw against name word w: edit distance relative to qw's length (best of
+   w's prefixes around qw's length), plus 0.25 when only the start of a longer word matched */
+function typoCost(qw, w, max) {
+  let best = Infinity;
+  for (const len of [qw.length - 1, qw.length, qw.length + 1]) {
+    const d = editDistance(qw, w.slice(0, len), max);
+    if (d <= max) best = Math.min(best, d / qw.length + (len < w.length ? 0.25 : 0));
+  }
+  return best;
+}
+/* 100 exact ticker, 90 ticker prefix, 85 exact name, 75 name prefix, 65 word prefix, 50 substring;
+   below that (1–40) every query word must be within typoBudget edits of the start of some name word
+   that begins with the same letter (Arabic words compared without the article ال). Typo hits score
+   lower for more edits relative to the word's length, for matching only the start of a longer word
+   and for matching a later word of the name (+0.1 per position, up to 3) rather than the leading one. */
+function matchScore(e, q, qc) {
+  if (e.ticker === q) return 100;
+  if (e.ticker.startsWith(q)) return 90;
+  let best = 0;
+  e.terms.forEach((t, i) => {
+    const tc = e.compact[i];
+    if (t === q || tc === qc) best = Math.max(best, 85);
+    else if (t.startsWith(q) || tc.startsWith(qc)) best = Math.max(best, 75);
+    else if (t.includes(` ${q}`)) best = Math.max(best, 65);
+    else if (t.includes(q) || tc.includes(qc)) best = Math.max(best, 50);
+  });
+  if (best) return best;
+  const qws = q.split(' ').map(stripArticle); let cost = 0;
+  for (const qw of qws) {
+    const max = typoBudget(qw); if (!max) return 0;
+    let best = Infinity;
+    for (const [w, pos] of e.words) if (w[0] === qw[0]) best = Math.min(best, typoCost(qw, w, max) + 0.1 * Math.min(pos, 3));
+    if (best === Infinity) return 0;
+    cost += best;
+  }
+  return Math.max(1, 40 - 30 * (cost / qws.length));
+}
+/* Entries matching query, best first: [{ ...entry, score }]. Typo matches only show when nothing
+   matched directly; equal direct scores (e.g. ticker prefixes) put the shorter ticker first. */
+export function searchCompanies(index, query, limit = Infinity) {
+  const q = normalizeSearch(query); if (!q) return [];
+  const qc = q.replace(/ /g, ''); const hits = [];
+  for (const e of index) { const score = matchScore(e, q, qc); if (score) hits.push({ ...e.c, score }); }
+  const direct = hits.some((h) => h.score >= 50);
+  return hits.filter((h) => !direct || h.score >= 50).sort((a, b) => b.score - a.score || a.ticker.length - b.ticker.length).slice(0, limit);
+}
@@ -0,0 +1,42 @@
+// path: src/syncMerge.js
+// Three-way merge behind cloud sync (see "Cloud sync" in App.jsx). Kept free of React, storage and
+// network so scripts/check-sync.mjs can run the same code in Node against a local Supabase.
+//   - collections (arrays of { id, ... }) merge per record id: a side that didn't change since base
+//     takes the other side's version (including deletes); when both changed, an edit beats a
+//     delete and two edits go to the most recent writer (local dirty time vs remote updated_at);
+//   - plain preferences follow the same rule for the whole value.
+
+export const sameJSON = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export function mergeValue(local, base, remote, localNewer) {
+  if (remote === undefined || sameJSON(local, remote)) return local;
+  const lc = !sameJSON(local, base), rc = !sameJSON(remote, base);
+  if (!rc) return local;
+  if (!lc) return remote;
+  if (local == null || remote == null) return local ?? remote; // edit beats delete
+  return localNewer ? local : remote;
+}
+
+export function mergeCollection(local = [], base = [], remote, localNewer) {
+  if (!Array.isArray(remote)) return local;
+  const byId = (arr) => new Map((Array.isArray(arr) ? arr : []).map((r) => [r.id, r]));
+  const L = byId(local), B = byId(base), R = byId(remote);
+  const ids = [...new Set([...L.keys(), ...R.keys()])];
+  return ids.map((id) => mergeValue(L.get(id), B.get(id), R.get(id) ?? (B.has(id) ? null : undefined), localNewer)).filter(Boolean);
+}
+
+/* kinds: { key: 'pref' | 'collection' }; local/base: { key: value }; remote: { key: { value, at } }
+   (rows of user_state, `at` = updated_at in ms); dirty: { key: local edit time in ms }.
+   -> { merged: { key: value }, upserts: [key] } where upserts are the keys the server lacks or differs on */
+export function mergeUserState({ kinds, local, base = {}, remote = {}, dirty = {} }) {
+  const merged = {}; const upserts = [];
+  for (const [key, kind] of Object.entries(kinds)) {
+    const r = remote[key];
+    const localNewer = (dirty[key] || 0) >= (r?.at || 0);
+    merged[key] = kind === 'collection'
+      ? mergeCollection(local[key], base[key], r?.value, localNewer)
+      : mergeValue(local[key], base[key], r ? r.value ?? '' : undefined, localNewer);
+    if (!r || !sameJSON(merged[key], r.value)) upserts.push(key);
+  }
+  return { merged, upserts };
+}
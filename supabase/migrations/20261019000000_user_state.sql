@@ -0,0 +1,20 @@
+-- Per-user key/value store mirrored by the app's cloud sync (see "Cloud sync" in src/App.jsx).
+-- One row per synced localStorage key: lang, mkt, data_provider, display_ccy, fv_weights_v1, lists_v1, alerts_v1.
+create table if not exists public.user_state (
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  key text not null,
+  value jsonb,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, key)
+);
+
+alter table public.user_state enable row level security;
+
+create policy "Users read their own state" on public.user_state
+  for select using (auth.uid() = user_id);
+create policy "Users insert their own state" on public.user_state
+  for insert with check (auth.uid() = user_id);
+create policy "Users update their own state" on public.user_state
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Users delete their own state" on public.user_state
+  for delete using (auth.uid() = user_id);
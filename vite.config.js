@@ -1,9 +1,36 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import tailwind from '@tailwindcss/vite';
 
+/* Writes the precache list (built shell + hashed assets + top-level /data/*.json) and a cache
+   version into the copied public/sw.js. */
+function swPrecache() {
+  return {
+    name: 'trueprice-sw-precache',
+    apply: 'build',
+    writeBundle(options, bundle) {
+      const outDir = options.dir;
+      const sw = path.join(outDir, 'sw.js');
+      if (!fs.existsSync(sw)) return;
+      const dataDir = path.join(outDir, 'data');
+      const data = fs.existsSync(dataDir) ? fs.readdirSync(dataDir).filter((f) => f.endsWith('.json')).map((f) => `/data/${f}`) : [];
+      const shell = Object.keys(bundle).filter((f) => !f.endsWith('.map')).map((f) => `/${f}`);
+      const urls = ['/manifest.webmanifest', '/favicon.png', ...shell, ...data];
+      const hash = crypto.createHash('sha1');
+      for (const u of [...shell, ...data]) hash.update(fs.readFileSync(path.join(outDir, u)));
+      const src = fs.readFileSync(sw, 'utf8')
+        .replace('const PRECACHE = [];', `const PRECACHE = ${JSON.stringify(urls)};`)
+        .replace("const VERSION = 'dev';", `const VERSION = '${hash.digest('hex').slice(0, 10)}';`);
+      fs.writeFileSync(sw, src);
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react(), tailwind()],
+  plugins: [react(), tailwind(), swPrecache()],
   build: {
     outDir: 'output', // 👈 custom folder for deployment files
   },